@@ -17,7 +17,7 @@ const configPath = path.join(DATA_DIR, 'config.json');
 console.log('[post-upgrade] Running browser-specific migrations...\n');
 
 // Ensure data directories exist
-const subdirs = ['knowledge', 'sequences', 'screenshots', 'logs'];
+const subdirs = ['knowledge', 'sequences', 'screenshots', 'logs', 'rules', 'downloads'];
 for (const dir of subdirs) {
   fs.mkdirSync(path.join(DATA_DIR, dir), { recursive: true });
 }
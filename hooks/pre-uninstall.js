@@ -10,6 +10,14 @@ import { execSync } from 'node:child_process';
 
 console.log('[pre-uninstall] Stopping display services...\n');
 
+// Stop the session daemon (holds a CDP connection to Chrome)
+try {
+  execSync('zylos-browser session stop 2>/dev/null', { stdio: 'pipe', timeout: 15000 });
+  console.log('  Session daemon stopped.');
+} catch {
+  console.log('  Session daemon not running.');
+}
+
 // Stop display infrastructure (VNC + Chrome + Xvfb)
 try {
   execSync('zylos-browser display stop 2>/dev/null', { stdio: 'pipe', timeout: 30000 });
@@ -58,8 +58,14 @@ if (fs.existsSync(sequencesDir)) {
   }
 }
 
-// 4. Stop display services before code replacement
+// 4. Stop session daemon and display services before code replacement
 console.log('\nStopping display services...');
+try {
+  execSync('zylos-browser session stop 2>/dev/null', { stdio: 'pipe', timeout: 15000 });
+  console.log('  Session daemon stopped.');
+} catch {
+  console.log('  Session daemon not running.');
+}
 try {
   execSync('zylos-browser display stop 2>/dev/null', { stdio: 'pipe', timeout: 30000 });
   console.log('  Display services stopped.');
@@ -6,20 +6,17 @@
  * Installed as ~/zylos/bin/zylos-browser via SKILL.md bin field.
  */
 
-import { Browser } from './lib/browser.js';
+import path from 'node:path';
 import { getConfig } from './lib/config.js';
+import { BrowserError, SessionError } from './lib/errors.js';
 
 const args = process.argv.slice(2);
-const command = args[0];
-
-if (!command || command === 'help' || command === '--help') {
-  printUsage();
-  process.exit(0);
-}
 
 // Parse global flags
 let cdpPort = null;
 let headless = false;
+let jsonOutput = false;
+let tab = null;
 const cleanArgs = [];
 for (let i = 0; i < args.length; i++) {
   if (args[i] === '--cdp' && args[i + 1]) {
@@ -27,6 +24,11 @@ for (let i = 0; i < args.length; i++) {
     i++;
   } else if (args[i] === '--headless') {
     headless = true;
+  } else if (args[i] === '--tab' && args[i + 1]) {
+    tab = args[i + 1];
+    i++;
+  } else if (args[i] === '--json') {
+    jsonOutput = true;
   } else {
     cleanArgs.push(args[i]);
   }
@@ -35,11 +37,17 @@ for (let i = 0; i < args.length; i++) {
 const cmd = cleanArgs[0];
 const cmdArgs = cleanArgs.slice(1);
 
+if (!cmd || cmd === 'help' || cmd === '--help') {
+  emit({ usage: usageText() }, data => data.usage);
+  process.exit(0);
+}
+
 async function main() {
   try {
     const opts = {};
     if (cdpPort) opts.cdpPort = cdpPort;
     if (headless) opts.headless = headless;
+    if (tab !== null) opts.tab = tab;
 
     switch (cmd) {
       // --- Core browser control ---
@@ -74,8 +82,34 @@ async function main() {
         await runBrowser(opts, b => b.check(requireArg(cmdArgs[0], 'ref')));
         break;
 
+      case 'uncheck':
+        await runBrowser(opts, b => b.uncheck(requireArg(cmdArgs[0], 'ref')));
+        break;
+
+      case 'hover':
+        await runBrowser(opts, b => b.hover(requireArg(cmdArgs[0], 'ref')));
+        break;
+
+      case 'drag':
+        await runBrowser(opts, b => b.drag(requireArg(cmdArgs[0], 'source-ref'), requireArg(cmdArgs[1], 'target-ref')));
+        break;
+
+      case 'upload': {
+        const ref = requireArg(cmdArgs[0], 'ref');
+        requireArg(cmdArgs[1], 'file');
+        // Resolve here: the session daemon runs in a different working directory
+        const { resolveUploadFiles } = await import('./lib/browser.js');
+        const files = resolveUploadFiles(cmdArgs.slice(1));
+        await runBrowser(opts, b => b.upload(ref, files));
+        break;
+      }
+
       case 'screenshot':
-        await runBrowser(opts, b => b.screenshot(cmdArgs[0]));
+        await screenshotCmd(cmdArgs, opts);
+        break;
+
+      case 'pdf':
+        await pdfCmd(cmdArgs, opts);
         break;
 
       case 'scroll':
@@ -119,6 +153,40 @@ async function main() {
         await runBrowser(opts, b => b.closeTab(cmdArgs[0]));
         break;
 
+      // --- Page state (Playwright) ---
+      case 'eval':
+        await runBrowser(opts, b => b.evaluate(requireArg(cmdArgs.join(' '), 'expression')),
+          result => JSON.stringify(result ?? null, null, 2));
+        break;
+
+      case 'cookies':
+        await cookiesCmd(cmdArgs, opts);
+        break;
+
+      case 'storage':
+        await storageCmd(cmdArgs, opts);
+        break;
+
+      case 'wait':
+        await waitCmd(cmdArgs, opts);
+        break;
+
+      case 'state':
+        await stateCmd(cmdArgs, opts);
+        break;
+
+      case 'network':
+        await networkCmd(cmdArgs, opts);
+        break;
+
+      case 'console':
+        await consoleCmd(cmdArgs, opts);
+        break;
+
+      case 'downloads':
+        await downloadsCmd(cmdArgs, opts);
+        break;
+
       // --- Sequence runner ---
       case 'run':
         await runSequenceCmd(cmdArgs, opts);
@@ -128,6 +196,19 @@ async function main() {
         await listSequencesCmd();
         break;
 
+      case 'record':
+        await recordCmd(cmdArgs, opts);
+        break;
+
+      case 'runs':
+        await runsCmd(cmdArgs);
+        break;
+
+      // --- Session daemon ---
+      case 'session':
+        await sessionCmd(cmdArgs, opts);
+        break;
+
       // --- Site knowledge ---
       case 'knowledge':
         await knowledgeCmd(cmdArgs);
@@ -139,49 +220,515 @@ async function main() {
         break;
 
       default:
-        console.error(`Unknown command: ${cmd}`);
-        console.error('Run "zylos-browser help" for usage.');
-        process.exit(1);
+        throw new BrowserError(
+          `Unknown command: ${cmd}. Run "zylos-browser help" for usage.`,
+          'UNKNOWN_COMMAND',
+          { command: cmd }
+        );
     }
   } catch (err) {
-    if (err.code) {
-      // Structured error from our error classes
-      console.error(`[${err.code}] ${err.message}`);
-    } else {
-      console.error(`Error: ${err.message}`);
-    }
-    process.exit(1);
+    fail(err);
+  }
+}
+
+/**
+ * Print a command result.
+ * With --json, data is written to stdout as a single JSON document;
+ * otherwise format(data) is printed as text (nothing if it returns empty).
+ */
+function emit(data, format) {
+  if (jsonOutput) {
+    console.log(JSON.stringify({ ok: true, command: cmd ?? null, data }, null, 2));
+    return;
   }
+  const text = format ? format(data) : data;
+  if (text) console.log(text);
 }
 
 /**
- * Create a Browser instance, run the action, and print output
+ * Report an error and exit.
+ * With --json the error object goes to stdout so callers read one document.
  */
-async function runBrowser(opts, action) {
-  const browser = new Browser(opts);
-  const result = await action(browser);
-  if (result) console.log(result);
+function fail(err) {
+  if (jsonOutput) {
+    const error = err instanceof BrowserError
+      ? err.toJSON()
+      : { name: err.name || 'Error', code: err.code || 'ERROR', message: err.message, details: null };
+    console.log(JSON.stringify({ ok: false, command: cmd ?? null, error }, null, 2));
+  } else if (err.code) {
+    // Structured error from our error classes
+    console.error(`[${err.code}] ${err.message}`);
+  } else {
+    console.error(`Error: ${err.message}`);
+  }
+  process.exit(1);
+}
+
+/**
+ * Create a Browser (routed through the session daemon when one is running),
+ * run the action, and print output.
+ * Without a format, the result is agent-browser stdout and is emitted as { output }.
+ */
+async function runBrowser(opts, action, format) {
+  const { createBrowser } = await import('./lib/session.js');
+  const browser = await createBrowser(opts);
+  try {
+    const result = await action(browser);
+    if (format) {
+      emit(result ?? null, format);
+    } else {
+      emit({ output: result || '' }, data => data.output);
+    }
+  } finally {
+    await browser.disconnect();
+  }
 }
 
 /**
- * Require a CLI argument or exit with error
+ * Require a CLI argument or throw a usage error
  */
 function requireArg(value, name) {
   if (!value) {
-    console.error(`Missing required argument: <${name}>`);
-    process.exit(1);
+    throw new BrowserError(`Missing required argument: <${name}>`, 'MISSING_ARGUMENT', { argument: name });
   }
   return value;
 }
 
+/**
+ * Throw a usage error for a command group
+ */
+function usageError(usage) {
+  return new BrowserError(`Usage: ${usage}`, 'USAGE_ERROR');
+}
+
+/**
+ * Split command args into positionals and --flags.
+ * Flags listed in valueFlags consume the next arg; others are boolean.
+ */
+function parseFlags(argv, valueFlags = []) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (valueFlags.includes(arg)) {
+      flags[arg.slice(2)] = requireArg(argv[i + 1], arg.slice(2));
+      i++;
+    } else if (arg.startsWith('--')) {
+      flags[arg.slice(2)] = true;
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, flags };
+}
+
+/**
+ * Ensure a browser is backed by the session daemon.
+ * Features that keep state between commands (recorders, routes) need it.
+ */
+function requireSession(browser, feature) {
+  if (!browser.remote) {
+    throw new SessionError(`${feature} needs a running session daemon. Start it with: zylos-browser session start`);
+  }
+}
+
+/**
+ * Parse a --timeout value in milliseconds
+ */
+function parseTimeout(value) {
+  if (value === undefined) return undefined;
+  const ms = Number(value);
+  if (!Number.isInteger(ms) || ms <= 0) {
+    throw new BrowserError(`Invalid timeout: ${value} (expected milliseconds)`, 'INVALID_ARGUMENT', { timeout: value });
+  }
+  return ms;
+}
+
+/**
+ * screenshot [path] [--full-page] [--ref <ref|css>] [--format png|jpeg] [--quality n]
+ */
+async function screenshotCmd(cmdArgs, browserOpts) {
+  const { positional, flags } = parseFlags(cmdArgs, ['--ref', '--format', '--quality']);
+  // Resolve here: the session daemon runs in a different working directory
+  const file = positional[0] ? path.resolve(positional[0]) : undefined;
+  const options = {
+    fullPage: Boolean(flags['full-page'] || flags.full),
+    ref: flags.ref,
+    format: flags.format,
+    quality: flags.quality
+  };
+  await runBrowser(browserOpts, b => b.saveScreenshot(file, options), r => `Screenshot saved to ${r.path}`);
+}
+
+/**
+ * pdf <path> [--format A4] [--landscape] [--margin 1cm] [--background] [--scale n]
+ */
+async function pdfCmd(cmdArgs, browserOpts) {
+  const { positional, flags } = parseFlags(cmdArgs, ['--format', '--margin', '--scale']);
+  const file = path.resolve(requireArg(positional[0], 'path'));
+  let scale;
+  if (flags.scale !== undefined) {
+    scale = Number(flags.scale);
+    if (!(scale >= 0.1 && scale <= 2)) {
+      throw new BrowserError(`Invalid scale: ${flags.scale} (expected 0.1-2)`, 'INVALID_ARGUMENT', { scale: flags.scale });
+    }
+  }
+  const options = {
+    format: flags.format,
+    landscape: Boolean(flags.landscape),
+    margin: flags.margin,
+    background: Boolean(flags.background),
+    scale
+  };
+  await runBrowser(browserOpts, b => b.pdf(file, options), r => `PDF saved to ${r.path}`);
+}
+
+/**
+ * Cookie subcommands
+ */
+async function cookiesCmd(cmdArgs, browserOpts) {
+  const { positional, flags } = parseFlags(cmdArgs, ['--domain', '--path', '--url']);
+  const sub = positional[0] || 'list';
+
+  switch (sub) {
+    case 'list':
+      await runBrowser(browserOpts, async b => {
+        const { hostMatchesDomain } = await import('./lib/state.js');
+        const cookies = await b.cookies();
+        return flags.domain ? cookies.filter(c => c.domain && hostMatchesDomain(c.domain, flags.domain)) : cookies;
+      }, cookies => cookies.map(c => `${c.domain}\t${c.path}\t${c.name}=${c.value}`).join('\n'));
+      break;
+    case 'set': {
+      const cookie = {
+        name: requireArg(positional[1], 'name'),
+        value: requireArg(positional[2], 'value')
+      };
+      if (flags.url) cookie.url = flags.url;
+      if (flags.domain) {
+        cookie.domain = flags.domain;
+        cookie.path = flags.path || '/';
+      }
+      await runBrowser(browserOpts, async b => {
+        await b.setCookie(cookie);
+        return cookie;
+      }, c => `Cookie set: ${c.name}`);
+      break;
+    }
+    case 'clear':
+      await runBrowser(browserOpts, async b => {
+        await b.clearCookies();
+        return { cleared: true };
+      }, () => 'Cookies cleared.');
+      break;
+    default:
+      throw usageError('zylos-browser cookies [list|set <name> <value>|clear] [--domain d] [--path p] [--url u]');
+  }
+}
+
+/**
+ * localStorage subcommands
+ */
+async function storageCmd(cmdArgs, browserOpts) {
+  const sub = cmdArgs[0];
+  switch (sub) {
+    case 'get': {
+      const key = requireArg(cmdArgs[1], 'key');
+      await runBrowser(browserOpts, async b => ({ key, value: await b.localStorage(key) }),
+        data => JSON.stringify(data.value));
+      break;
+    }
+    case 'set': {
+      const key = requireArg(cmdArgs[1], 'key');
+      const value = requireArg(cmdArgs[2], 'value');
+      await runBrowser(browserOpts, async b => {
+        await b.localStorage(key, value);
+        return { key, value };
+      }, data => `localStorage["${data.key}"] set.`);
+      break;
+    }
+    default:
+      throw usageError('zylos-browser storage <get <key>|set <key> <value>>');
+  }
+}
+
+/**
+ * Wait subcommands
+ */
+async function waitCmd(cmdArgs, browserOpts) {
+  const { positional, flags } = parseFlags(cmdArgs, ['--timeout', '--state']);
+  const sub = positional[0];
+  const timeout = parseTimeout(flags.timeout);
+
+  switch (sub) {
+    case 'selector': {
+      const selector = requireArg(positional[1], 'selector');
+      const state = flags.state || 'visible';
+      await runBrowser(browserOpts, async b => {
+        await b.waitForSelector(selector, { state, timeout });
+        return { selector, state };
+      }, data => `Selector ${data.state}: ${data.selector}`);
+      break;
+    }
+    case 'url': {
+      const pattern = requireArg(positional[1], 'url pattern');
+      await runBrowser(browserOpts, async b => {
+        await b.waitForNavigation(pattern, timeout);
+        return { url: pattern };
+      }, data => `URL matched: ${data.url}`);
+      break;
+    }
+    case 'idle':
+      await runBrowser(browserOpts, async b => {
+        await b.waitForNetworkIdle(timeout);
+        return { idle: true };
+      }, () => 'Network idle.');
+      break;
+    default:
+      throw usageError('zylos-browser wait <selector <css>|url <pattern>|idle> [--timeout ms] [--state visible|hidden|attached|detached]');
+  }
+}
+
+/**
+ * Storage state subcommands
+ */
+async function stateCmd(cmdArgs, browserOpts) {
+  const { positional, flags } = parseFlags(cmdArgs, ['--domain']);
+  const sub = positional[0];
+  const { saveState, loadState } = await import('./lib/state.js');
+
+  switch (sub) {
+    case 'save': {
+      const file = requireArg(positional[1], 'file');
+      await runBrowser(browserOpts, b => saveState(b, file, { domain: flags.domain }),
+        r => `Saved ${r.cookies} cookies and ${r.origins} origins to ${r.file}`);
+      break;
+    }
+    case 'load': {
+      const file = requireArg(positional[1], 'file');
+      await runBrowser(browserOpts, b => loadState(b, file, { domain: flags.domain }), r => {
+        const lines = [`Loaded ${r.cookies} cookies and ${r.origins} origins from ${r.file}`];
+        if (r.sessionStorageSkipped.length > 0) {
+          lines.push(`  sessionStorage not restored (no open tab): ${r.sessionStorageSkipped.join(', ')}`);
+        }
+        return lines.join('\n');
+      });
+      break;
+    }
+    default:
+      throw usageError('zylos-browser state <save|load> <file> [--domain d]');
+  }
+}
+
+/**
+ * Network subcommands
+ */
+async function networkCmd(cmdArgs, browserOpts) {
+  const usage = 'zylos-browser network <record <start|stop|status>|rules <list|apply|clear|status>>';
+  switch (cmdArgs[0]) {
+    case 'record':
+      await networkRecordCmd(cmdArgs.slice(1), browserOpts);
+      break;
+    case 'rules':
+      await networkRulesCmd(cmdArgs.slice(1), browserOpts);
+      break;
+    default:
+      throw usageError(usage);
+  }
+}
+
+/**
+ * network record — HAR capture through the session daemon
+ */
+async function networkRecordCmd(cmdArgs, browserOpts) {
+  const { positional, flags } = parseFlags(cmdArgs);
+  const { resolveHarPath, writeHar } = await import('./lib/har.js');
+
+  switch (positional[0]) {
+    case 'start': {
+      const file = positional[1] ? resolveHarPath(positional[1]) : null;
+      await runBrowser(browserOpts, async b => {
+        requireSession(b, 'HAR recording');
+        return b.startHar({ bodies: Boolean(flags.bodies), file });
+      }, status => `Recording network traffic${status.file ? ` to ${status.file}` : ''}.`);
+      break;
+    }
+    case 'stop':
+      await runBrowser(browserOpts, async b => {
+        requireSession(b, 'HAR recording');
+        const { file, har } = await b.stopHar();
+        const target = positional[1] || file;
+        if (!target) {
+          // Don't lose the capture — fall back to a timestamped file
+          const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+          return { file: writeHar(har, `network-${stamp}.har`), entries: har.log.entries.length };
+        }
+        return { file: writeHar(har, target), entries: har.log.entries.length };
+      }, r => `Saved ${r.entries} requests to ${r.file}`);
+      break;
+    case 'status':
+      await runBrowser(browserOpts, async b => {
+        requireSession(b, 'HAR recording');
+        return b.harStatus();
+      }, st => (st.recording
+        ? `Recording since ${st.startedAt}: ${st.entries} requests${st.file ? ` → ${st.file}` : ''}`
+        : 'Not recording.'));
+      break;
+    default:
+      throw usageError('zylos-browser network record <start [file.har] [--bodies]|stop [file.har]|status>');
+  }
+}
+
+/**
+ * network rules — declarative blocking/mocking rule sets
+ */
+async function networkRulesCmd(cmdArgs, browserOpts) {
+  const sub = cmdArgs[0];
+
+  switch (sub) {
+    case 'list': {
+      const { listRuleSets } = await import('./lib/rules.js');
+      const ruleSets = listRuleSets();
+      emit({ ruleSets }, () => {
+        if (ruleSets.length === 0) return 'No rule sets defined.';
+        return ruleSets.map(r => `  ${r.name} (${r.rules} rules, ${r.source})${r.domains ? ` [${r.domains.join(', ')}]` : ''}${r.description ? ` — ${r.description}` : ''}`).join('\n');
+      });
+      break;
+    }
+    case 'apply': {
+      const names = cmdArgs.slice(1);
+      if (names.length === 0) requireArg(null, 'rule set name');
+      await runBrowser(browserOpts, async b => {
+        requireSession(b, 'Applying rules');
+        const applied = [];
+        for (const name of names) applied.push(await b.applyRules(name));
+        return { applied };
+      }, r => r.applied.map(a => `Applied ${a.name} (${a.rules} rules)`).join('\n'));
+      break;
+    }
+    case 'clear':
+      await runBrowser(browserOpts, async b => {
+        requireSession(b, 'Clearing rules');
+        return b.clearRules(cmdArgs[1]);
+      }, r => (r.cleared.length ? `Cleared: ${r.cleared.join(', ')}` : 'No rules active.'));
+      break;
+    case 'status':
+      await runBrowser(browserOpts, async b => {
+        requireSession(b, 'Rule status');
+        return { active: await b.activeRules() };
+      }, r => (r.active.length
+        ? r.active.map(a => `  ${a.name} (${a.rules} rules)`).join('\n')
+        : 'No rules active.'));
+      break;
+    default:
+      throw usageError('zylos-browser network rules <list|apply <name...>|clear [name]|status>');
+  }
+}
+
+/**
+ * console — console messages, page errors and failed requests.
+ * Buffered output comes from the session daemon; --follow streams live.
+ */
+async function consoleCmd(cmdArgs, browserOpts) {
+  const { flags } = parseFlags(cmdArgs, ['--level', '--limit']);
+  const { parseLevel, formatEntry, CONSOLE_LEVELS } = await import('./lib/console.js');
+
+  const level = flags.level ? parseLevel(flags.level) : undefined;
+  if (level === null) {
+    throw new BrowserError(`Invalid level: ${flags.level} (expected ${CONSOLE_LEVELS.join(', ')})`, 'INVALID_ARGUMENT', { level: flags.level });
+  }
+  let limit;
+  if (flags.limit) {
+    limit = Number(flags.limit);
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new BrowserError(`Invalid limit: ${flags.limit}`, 'INVALID_ARGUMENT', { limit: flags.limit });
+    }
+  }
+
+  if (flags.follow) {
+    await followConsole(browserOpts, level, formatEntry);
+    return;
+  }
+
+  await runBrowser(browserOpts, async b => {
+    if (!b.remote) {
+      throw new SessionError('Buffered console output needs a running session daemon. Start it with: zylos-browser session start (or stream live output with --follow)');
+    }
+    // Daemons started while Chrome was down begin capturing on first use
+    const status = await b.consoleStatus();
+    if (!status.capturing) await b.startConsole();
+    const entries = await b.consoleEntries({ level, limit });
+    if (flags.clear) await b.clearConsole();
+    return { entries };
+  }, r => (r.entries.length ? r.entries.map(formatEntry).join('\n') : 'No console messages.'));
+}
+
+/**
+ * Stream console entries until interrupted.
+ * With --json, prints one entry per line (JSON Lines).
+ */
+async function followConsole(browserOpts, level, formatEntry) {
+  const { Browser } = await import('./lib/browser.js');
+  const { filterEntries } = await import('./lib/console.js');
+  // Listeners must live in this process, so bypass the session daemon
+  const browser = new Browser(browserOpts);
+  await browser.startConsole({
+    onEntry: entry => {
+      if (filterEntries([entry], { level }).length === 0) return;
+      console.log(jsonOutput ? JSON.stringify(entry) : formatEntry(entry));
+    }
+  });
+  if (!jsonOutput) console.error('Following console output of all tabs (Ctrl+C to stop)...');
+
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+    browser._cdpBrowser.once('disconnected', resolve);
+  });
+  await browser.disconnect().catch(() => {});
+}
+
+/**
+ * downloads — files saved to the managed downloads directory
+ */
+async function downloadsCmd(cmdArgs, browserOpts) {
+  const { positional, flags } = parseFlags(cmdArgs, ['--timeout']);
+  const { listDownloads, clearDownloads } = await import('./lib/downloads.js');
+  const { DOWNLOADS_DIR } = await import('./lib/config.js');
+
+  switch (positional[0] || 'list') {
+    case 'list': {
+      const downloads = listDownloads();
+      emit({ directory: DOWNLOADS_DIR, downloads }, () => {
+        if (downloads.length === 0) return `No downloads in ${DOWNLOADS_DIR}`;
+        return downloads.map(d => `  ${d.modified}  ${String(d.size).padStart(10)}  ${d.name}`).join('\n');
+      });
+      break;
+    }
+    case 'wait': {
+      const timeout = parseTimeout(flags.timeout);
+      await runBrowser(browserOpts, b => b.waitForDownload(timeout ? { timeout } : {}),
+        d => `Downloaded ${d.name} (${d.size ?? '?'} bytes) → ${d.file}`);
+      break;
+    }
+    case 'clear': {
+      const result = clearDownloads();
+      emit(result, r => `Removed ${r.removed} file(s) from ${DOWNLOADS_DIR}`);
+      break;
+    }
+    default:
+      throw usageError('zylos-browser downloads <list|wait [--timeout ms]|clear>');
+  }
+}
+
 /**
  * Run sequence command
  */
 async function runSequenceCmd(cmdArgs, browserOpts) {
   const name = requireArg(cmdArgs[0], 'sequence-name');
 
-  // Parse --var key=value pairs
+  // Parse --var key=value pairs and run options
   const variables = {};
+  const runOpts = {};
   for (let i = 1; i < cmdArgs.length; i++) {
     if (cmdArgs[i] === '--var' && cmdArgs[i + 1]) {
       const eq = cmdArgs[i + 1].indexOf('=');
@@ -189,17 +736,271 @@ async function runSequenceCmd(cmdArgs, browserOpts) {
         variables[cmdArgs[i + 1].slice(0, eq)] = cmdArgs[i + 1].slice(eq + 1);
       }
       i++;
+    } else if (cmdArgs[i] === '--har' && cmdArgs[i + 1]) {
+      runOpts.har = cmdArgs[i + 1];
+      i++;
+    } else if (cmdArgs[i] === '--har-bodies') {
+      runOpts.harBodies = true;
+    } else if (cmdArgs[i] === '--console') {
+      runOpts.console = true;
+    } else if (cmdArgs[i] === '--dry-run') {
+      runOpts.dryRun = true;
+    } else if (cmdArgs[i] === '--step') {
+      runOpts.step = true;
+    } else if ((cmdArgs[i] === '--from' || cmdArgs[i] === '--to') && cmdArgs[i + 1] !== undefined) {
+      runOpts[cmdArgs[i].slice(2)] = parseStepNumber(cmdArgs[i], cmdArgs[i + 1]);
+      i++;
+    } else if (cmdArgs[i] === '--data' && cmdArgs[i + 1]) {
+      runOpts.data = cmdArgs[i + 1];
+      i++;
+    } else if (cmdArgs[i] === '--continue-on-error') {
+      runOpts.continueOnError = true;
     }
   }
 
+  if (runOpts.data) return runDatasetCmd(name, variables, browserOpts, runOpts);
+
+  let prompt = null;
+  if (runOpts.step && !runOpts.dryRun) {
+    // Prompts go to stderr so --json output stays one document
+    const readline = await import('node:readline/promises');
+    prompt = readline.createInterface({ input: process.stdin, output: process.stderr });
+    runOpts.beforeStep = info => askStep(prompt, info);
+  }
+
   const { runSequence } = await import('./lib/sequence.js');
-  const result = await runSequence(name, variables, browserOpts);
-  if (result.success) {
-    console.log(`Sequence "${name}" completed successfully.`);
-  } else {
-    console.error(`Sequence "${name}" failed: ${result.error}`);
-    process.exit(1);
+  let result;
+  try {
+    result = await runSequence(name, variables, browserOpts, runOpts);
+  } finally {
+    prompt?.close();
+  }
+  if (result.dryRun) {
+    emit({ sequence: name, ...result }, () => formatDryRun(name, result));
+    if (!result.success) process.exitCode = 1;
+    return;
   }
+  if (!result.success) {
+    const consoleNote = result.console
+      ? ` (console: ${result.console.counts.error} errors → ${result.console.file})`
+      : '';
+    const runNote = result.run ? ` (run log: ${result.run.dir})` : '';
+    const learnings = (result.console?.analysis?.learnings || []).map(learning => `\n  - ${learning}`).join('');
+    throw new BrowserError(`Sequence "${name}" failed: ${result.error}${consoleNote}${runNote}${learnings}`, 'SEQUENCE_FAILED', {
+      sequence: name,
+      ...result
+    });
+  }
+  emit({ sequence: name, ...result }, () => {
+    const lines = [`Sequence "${name}" completed successfully.`];
+    for (const [key, value] of Object.entries(result.outputs || {})) {
+      lines.push(`${key}: ${typeof value === 'string' ? value : JSON.stringify(value, null, 2)}`);
+    }
+    if (result.har) lines.push(`Network traffic: ${result.har}`);
+    if (result.console) {
+      const { counts, file } = result.console;
+      lines.push(`Console: ${counts.error} errors, ${counts.warning} warnings → ${file}`);
+    }
+    if (result.run) lines.push(`Run log: ${result.run.dir}`);
+    return lines.join('\n');
+  });
+}
+
+/**
+ * run --data: run a sequence once per row of a CSV/JSON/JSONL file
+ */
+async function runDatasetCmd(name, variables, browserOpts, runOpts) {
+  const conflict = ['har', 'dryRun', 'step'].find(option => runOpts[option]);
+  if (conflict) {
+    const flag = { har: '--har', dryRun: '--dry-run', step: '--step' }[conflict];
+    throw new BrowserError(`${flag} cannot be combined with --data`, 'INVALID_ARGUMENT', { option: flag });
+  }
+
+  const { loadDataset, runDataset } = await import('./lib/datasets.js');
+  const file = path.resolve(runOpts.data);
+  const rows = loadDataset(file);
+  const report = await runDataset(name, rows, {
+    variables,
+    browserOpts,
+    runOptions: { console: runOpts.console, from: runOpts.from, to: runOpts.to },
+    continueOnError: runOpts.continueOnError,
+    file,
+    // Progress goes to stderr so --json output stays one document
+    onRow: (entry, total) => {
+      process.stderr.write(`Row ${entry.row}/${total}: ${entry.success ? 'ok' : `FAILED — ${entry.error}`}\n`);
+    }
+  });
+
+  emit(report, r => {
+    const lines = [`Sequence "${name}" over ${r.total} rows: ${r.passed} succeeded, ${r.failed} failed${r.skipped ? `, ${r.skipped} not run` : ''}`];
+    for (const row of r.rows.filter(entry => !entry.success)) {
+      lines.push(`  Row ${row.row}: ${row.error}${row.run ? ` (run ${row.run})` : ''}`);
+    }
+    if (r.skipped) lines.push('  Stopped at the first failure (--continue-on-error runs every row)');
+    lines.push(`Report: ${r.file}`);
+    return lines.join('\n');
+  });
+  if (report.failed > 0) process.exitCode = 1;
+}
+
+/**
+ * record — capture a sequence from live interaction (session daemon)
+ */
+async function recordCmd(cmdArgs, browserOpts) {
+  const { positional, flags } = parseFlags(cmdArgs);
+
+  switch (positional[0]) {
+    case 'start': {
+      const name = requireArg(positional[1], 'name');
+      await runBrowser(browserOpts, async b => {
+        requireSession(b, 'Sequence recording');
+        return b.startRecording(name, { force: Boolean(flags.force) });
+      }, st => `Recording sequence "${st.name}" → ${st.file}\nInteract with the browser, then run: zylos-browser record stop`);
+      break;
+    }
+    case 'stop': {
+      const { writeSequence, rejectedRecordingPath } = await import('./lib/recorder.js');
+      const { validateSequence } = await import('./lib/sequence.js');
+      await runBrowser(browserOpts, async b => {
+        requireSession(b, 'Sequence recording');
+        const { file, sequence } = await b.stopRecording();
+        const { valid, errors } = validateSequence(sequence);
+        if (!valid) {
+          // Keep the recording, but not where run would pick it up
+          const rejected = writeSequence(sequence, rejectedRecordingPath(sequence.name));
+          throw new BrowserError(
+            `Recorded sequence is invalid, saved to ${rejected} instead of ${file}: ${errors.join('; ')}`,
+            'INVALID_SEQUENCE',
+            { file: rejected, errors }
+          );
+        }
+        writeSequence(sequence, file);
+        return { file, name: sequence.name, steps: sequence.steps.length, variables: Object.keys(sequence.variables || {}) };
+      }, r => {
+        const lines = [`Saved ${r.steps} steps to ${r.file}`];
+        if (r.variables.length > 0) lines.push(`Variables: ${r.variables.join(', ')} (pass with --var when running)`);
+        return lines.join('\n');
+      });
+      break;
+    }
+    case 'status':
+      await runBrowser(browserOpts, async b => {
+        requireSession(b, 'Sequence recording');
+        return b.recordingStatus();
+      }, st => (st.recording
+        ? `Recording "${st.name}" since ${st.startedAt}: ${st.steps} steps → ${st.file}`
+        : 'Not recording.'));
+      break;
+    default:
+      throw usageError('zylos-browser record <start <name> [--force]|stop|status>');
+  }
+}
+
+/**
+ * runs — browse sequence run logs
+ */
+async function runsCmd(cmdArgs) {
+  const { positional, flags } = parseFlags(cmdArgs, ['--sequence', '--limit']);
+  const { listRuns, loadRun } = await import('./lib/runs.js');
+
+  switch (positional[0] || 'list') {
+    case 'list': {
+      const limit = flags.limit !== undefined ? Number(flags.limit) : 20;
+      if (!Number.isInteger(limit) || limit <= 0) {
+        throw new BrowserError(`Invalid --limit: ${flags.limit}`, 'INVALID_ARGUMENT', { limit: flags.limit });
+      }
+      const runs = listRuns({ sequence: flags.sequence, limit });
+      emit({ runs }, () => {
+        if (runs.length === 0) return 'No runs recorded.';
+        return runs.map(r => {
+          const status = r.success === undefined ? 'running?' : r.success ? 'ok' : 'FAILED';
+          const duration = r.duration !== undefined ? `${(r.duration / 1000).toFixed(1)}s` : '';
+          return `  ${r.id}  ${status.padEnd(8)} ${duration.padStart(7)}  ${r.error || ''}`.trimEnd();
+        }).join('\n');
+      });
+      break;
+    }
+    case 'show': {
+      const { dir, run, steps, files } = loadRun(requireArg(positional[1], 'id'));
+      emit({ dir, run, steps, files }, () => {
+        const lines = [
+          `Run ${run.id} — ${run.sequence}: ${run.success ? 'ok' : run.success === false ? 'FAILED' : 'did not finish'}`,
+          `  Started: ${run.startedAt}${run.duration !== undefined ? ` (${(run.duration / 1000).toFixed(1)}s)` : ''}`
+        ];
+        if (run.error) lines.push(`  Error: ${run.error}`);
+        if (Object.keys(run.variables || {}).length > 0) lines.push(`  Variables: ${JSON.stringify(run.variables)}`);
+        lines.push('', '  Steps:');
+        for (const step of steps) {
+          const timing = step.duration !== undefined ? `${step.duration}ms` : '';
+          lines.push(`    ${String(step.step).padEnd(10)} ${step.status.padEnd(11)} ${timing.padStart(7)}  ${step.description.trim()}${step.ref ? ` → ${step.ref}` : ''}`);
+          if (step.error) lines.push(`${' '.repeat(16)}${step.error}`);
+        }
+        lines.push('', `  Directory: ${dir}`);
+        if (files.length > 0) lines.push(`  Files: ${files.join(', ')}`);
+        return lines.join('\n');
+      });
+      break;
+    }
+    default:
+      throw usageError('zylos-browser runs <list [--sequence name] [--limit n]|show <id|last>>');
+  }
+}
+
+/**
+ * Parse a --from/--to step number
+ */
+function parseStepNumber(flag, value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new BrowserError(`Invalid ${flag}: ${value} (expected a step number)`, 'INVALID_ARGUMENT', { [flag.slice(2)]: value });
+  }
+  return n;
+}
+
+/**
+ * Element summary for run --dry-run / --step output
+ */
+function formatElement(element) {
+  return element ? `${element.role} "${element.name}" [${element.ref}]` : 'NOT FOUND';
+}
+
+/**
+ * run --step: show the next step and ask what to do
+ */
+async function askStep(prompt, info) {
+  process.stderr.write(`\nStep ${info.step}: ${info.description.trim()}\n`);
+  if (info.element !== undefined) process.stderr.write(`  → ${formatElement(info.element)}\n`);
+  for (;;) {
+    let answer;
+    try {
+      answer = (await prompt.question('[c]ontinue, [s]kip, [a]bort? ')).trim().toLowerCase();
+    } catch {
+      return 'abort'; // stdin closed
+    }
+    if (answer === '' || answer === 'c' || answer === 'continue') return 'continue';
+    if (answer === 's' || answer === 'skip') return 'skip';
+    if (answer === 'a' || answer === 'abort') return 'abort';
+  }
+}
+
+/**
+ * Text report for run --dry-run
+ */
+function formatDryRun(name, result) {
+  const lines = [`Dry run of "${name}" (nothing was done):`, ''];
+  for (const step of result.steps) {
+    let line = `  ${String(step.step).padEnd(10)} ${step.description.trim()}`;
+    if (step.element !== undefined) {
+      line += `  → ${formatElement(step.element)}${step.stale ? ' (after earlier steps change the page)' : ''}`;
+    }
+    if (step.to !== undefined) line += `  onto ${formatElement(step.to)}`;
+    if (step.error !== undefined) line += `  (${step.error})`;
+    if (step.value !== undefined) line += `  value: ${JSON.stringify(step.value)}`;
+    if (step.url !== undefined) line += `  url: ${step.url}`;
+    lines.push(line);
+  }
+  if (result.error) lines.push('', result.error);
+  return lines.join('\n');
 }
 
 /**
@@ -208,20 +1009,20 @@ async function runSequenceCmd(cmdArgs, browserOpts) {
 async function listSequencesCmd() {
   const { listSequences } = await import('./lib/sequence.js');
   const sequences = listSequences();
-  if (sequences.length === 0) {
-    console.log('No sequences available.');
-    return;
-  }
-  console.log('Available sequences:\n');
-  for (const seq of sequences) {
-    console.log(`  ${seq.name}`);
-    if (seq.domain) console.log(`    Domain: ${seq.domain}`);
-    if (seq.description) console.log(`    ${seq.description}`);
-    if (seq.variables && Object.keys(seq.variables).length > 0) {
-      console.log(`    Variables: ${Object.keys(seq.variables).join(', ')}`);
+  emit({ sequences }, () => {
+    if (sequences.length === 0) return 'No sequences available.';
+    const lines = ['Available sequences:', ''];
+    for (const seq of sequences) {
+      lines.push(`  ${seq.name}`);
+      if (seq.domain) lines.push(`    Domain: ${seq.domain}`);
+      if (seq.description) lines.push(`    ${seq.description}`);
+      if (seq.variables && Object.keys(seq.variables).length > 0) {
+        lines.push(`    Variables: ${Object.keys(seq.variables).join(', ')}`);
+      }
+      lines.push('');
     }
-    console.log();
-  }
+    return lines.join('\n');
+  });
 }
 
 /**
@@ -230,8 +1031,7 @@ async function listSequencesCmd() {
 async function knowledgeCmd(cmdArgs) {
   const sub = cmdArgs[0];
   if (!sub) {
-    console.error('Usage: zylos-browser knowledge <domain|add-gotcha|domains>');
-    process.exit(1);
+    throw usageError('zylos-browser knowledge <domain|add-gotcha|domains>');
   }
 
   const { loadKnowledge, formatForPrompt, addGotcha, listDomains } = await import('./lib/knowledge.js');
@@ -239,12 +1039,10 @@ async function knowledgeCmd(cmdArgs) {
   switch (sub) {
     case 'domains': {
       const domains = listDomains();
-      if (domains.length === 0) {
-        console.log('No site knowledge stored yet.');
-      } else {
-        console.log('Domains with knowledge:\n');
-        for (const d of domains) console.log(`  ${d}`);
-      }
+      emit({ domains }, () => {
+        if (domains.length === 0) return 'No site knowledge stored yet.';
+        return ['Domains with knowledge:', '', ...domains.map(d => `  ${d}`)].join('\n');
+      });
       break;
     }
     case 'add-gotcha': {
@@ -252,11 +1050,9 @@ async function knowledgeCmd(cmdArgs) {
       const gotcha = requireArg(cmdArgs[2], 'gotcha text');
       const url = `https://${domain}/`;
       const added = addGotcha(url, gotcha);
-      if (added) {
-        console.log(`Gotcha added to ${domain}.`);
-      } else {
-        console.log('Gotcha already exists or max limit reached.');
-      }
+      emit({ domain, gotcha, added }, () => (added
+        ? `Gotcha added to ${domain}.`
+        : 'Gotcha already exists or max limit reached.'));
       break;
     }
     default: {
@@ -264,13 +1060,60 @@ async function knowledgeCmd(cmdArgs) {
       const domain = sub;
       const url = `https://${domain}/`;
       const knowledge = loadKnowledge(url);
-      if (!knowledge) {
-        console.log(`No knowledge found for ${domain}.`);
-      } else {
-        console.log(formatForPrompt(knowledge));
-      }
+      emit({ domain, knowledge }, () => (knowledge
+        ? formatForPrompt(knowledge)
+        : `No knowledge found for ${domain}.`));
+      break;
+    }
+  }
+}
+
+/**
+ * Session daemon subcommands
+ */
+async function sessionCmd(cmdArgs, browserOpts) {
+  const sub = cmdArgs[0];
+  if (!sub) {
+    throw usageError('zylos-browser session <start|stop|status>');
+  }
+
+  const session = await import('./lib/session.js');
+
+  switch (sub) {
+    case 'start': {
+      const status = await session.startSession(browserOpts);
+      emit(status, () => (status.started
+        ? `Session started (pid ${status.pid}, CDP port ${status.cdpPort})`
+        : `Session already running (pid ${status.pid}, CDP port ${status.cdpPort})`));
       break;
     }
+    case 'stop': {
+      const result = await session.stopSession();
+      emit(result, () => (result.stopped ? 'Session stopped.' : 'Session not running.'));
+      break;
+    }
+    case 'status': {
+      const status = await session.getSessionStatus();
+      emit(status, () => {
+        if (!status.running) return 'Session: stopped';
+        return [
+          'Session: running',
+          `  PID:       ${status.pid}`,
+          `  CDP port:  ${status.cdpPort}`,
+          `  Connected: ${status.connected ? 'yes' : 'no'}`,
+          `  Started:   ${status.startedAt}`,
+          `  Requests:  ${status.requests}`,
+          `  Socket:    ${status.socket}`
+        ].join('\n');
+      });
+      break;
+    }
+    case 'serve':
+      // Foreground daemon — `session start` spawns this detached
+      await session.serveSession(browserOpts);
+      break;
+    default:
+      throw new BrowserError(`Unknown session command: ${sub}`, 'UNKNOWN_COMMAND', { command: `session ${sub}` });
   }
 }
 
@@ -280,8 +1123,7 @@ async function knowledgeCmd(cmdArgs) {
 async function displayCmd(cmdArgs) {
   const sub = cmdArgs[0];
   if (!sub) {
-    console.error('Usage: zylos-browser display <status|start|stop|vnc-url>');
-    process.exit(1);
+    throw usageError('zylos-browser display <status|start|stop|vnc-url>');
   }
 
   const display = await import('./lib/display.js');
@@ -289,47 +1131,51 @@ async function displayCmd(cmdArgs) {
   switch (sub) {
     case 'status': {
       const status = await display.getDisplayStatus();
-      console.log('Display status:');
-      console.log(`  Xvfb:   ${status.xvfb ? 'running' : 'stopped'}`);
-      console.log(`  Chrome: ${status.chrome ? 'running' : 'stopped'}`);
-      console.log(`  VNC:    ${status.vnc ? 'running' : 'stopped'}`);
-      console.log(`  noVNC:  ${status.novnc ? 'running' : 'stopped'}`);
-      console.log(`  DISPLAY: ${status.display}`);
+      const state = running => (running ? 'running' : 'stopped');
+      emit(status, () => [
+        'Display status:',
+        `  Xvfb:   ${state(status.xvfb)}`,
+        `  Chrome: ${state(status.chrome)}`,
+        `  VNC:    ${state(status.vnc)}`,
+        `  noVNC:  ${state(status.novnc)}`,
+        `  DISPLAY: ${status.display}`
+      ].join('\n'));
       break;
     }
     case 'start': {
       const xvfb = await display.ensureDisplay();
-      console.log(`Display ready (DISPLAY=${xvfb.display})`);
-      if (xvfb.started) console.log('  Xvfb was started.');
       const chrome = await display.ensureChrome();
-      console.log(`Chrome ready (CDP port ${chrome.cdpPort})`);
-      if (chrome.started) console.log('  Chrome was started.');
       const vnc = await display.startVNC();
-      console.log(`VNC started on port ${vnc.vncPort}`);
-      if (vnc.url) console.log(`noVNC: ${vnc.url}`);
+      emit({ display: xvfb, chrome, vnc }, () => {
+        const lines = [`Display ready (DISPLAY=${xvfb.display})`];
+        if (xvfb.started) lines.push('  Xvfb was started.');
+        lines.push(`Chrome ready (CDP port ${chrome.cdpPort})`);
+        if (chrome.started) lines.push('  Chrome was started.');
+        lines.push(`VNC started on port ${vnc.vncPort}`);
+        if (vnc.url) lines.push(`noVNC: ${vnc.url}`);
+        return lines.join('\n');
+      });
       break;
     }
     case 'stop': {
       await display.stopChrome();
-      console.log('Chrome stopped.');
       await display.stopVNC();
-      console.log('VNC stopped.');
+      emit({ chrome: 'stopped', vnc: 'stopped' }, () => 'Chrome stopped.\nVNC stopped.');
       break;
     }
     case 'vnc-url': {
       const config = getConfig();
       const url = display.getVNCUrl(config);
-      console.log(url);
+      emit({ url }, data => data.url);
       break;
     }
     default:
-      console.error(`Unknown display command: ${sub}`);
-      process.exit(1);
+      throw new BrowserError(`Unknown display command: ${sub}`, 'UNKNOWN_COMMAND', { command: `display ${sub}` });
   }
 }
 
-function printUsage() {
-  console.log(`zylos-browser - Browser automation for Zylos agents
+function usageText() {
+  return `zylos-browser - Browser automation for Zylos agents
 
 Usage: zylos-browser <command> [options]
 
@@ -340,8 +1186,17 @@ Core Control:
   type <ref> <text>            Type text (append)
   fill <ref> <text>            Fill text (replace)
   select <ref> <value>         Select dropdown option
-  check <ref>                  Toggle checkbox
-  screenshot [path]            Take screenshot
+  check <ref>                  Check checkbox
+  uncheck <ref>                Uncheck checkbox
+  hover <ref>                  Hover over element
+  drag <ref> <target-ref>      Drag element onto another
+  upload <ref> <file...>       Set files on a file input
+  screenshot [path]            Take screenshot (no path: screenshots dir when
+                               screenshots.auto_save is on)
+      [--full-page] [--ref <ref|css>]      Whole page, or one element
+      [--format png|jpeg] [--quality n]    Image format (quality: jpeg, 0-100)
+  pdf <path>                   Save page as PDF (--format A4|Letter|...,
+                               --landscape, --margin 1cm, --background, --scale n)
   scroll <direction> [pixels]  Scroll (up|down|left|right)
   keypress <key>               Press key
 
@@ -352,13 +1207,59 @@ Navigation:
 
 Tabs:
   tabs                         List all tabs
-  tab <index>                  Switch to tab
+  tab <index|url:text>         Switch to tab
   newtab [url]                 Open new tab
   closetab [index]             Close tab
 
+Page State:
+  eval <expression>            Evaluate JavaScript in the page (prints JSON)
+  cookies [list] [--domain d]  List cookies
+  cookies set <name> <value>   Set cookie (--domain d [--path p] | --url u;
+                               default: current page)
+  cookies clear                Clear all cookies
+  storage get <key>            Read localStorage key (prints JSON)
+  storage set <key> <value>    Write localStorage key
+  wait selector <css>          Wait for element (--state visible|hidden|attached|detached)
+  wait url <pattern>           Wait for URL (glob, e.g. "**/dashboard")
+  wait idle                    Wait for network idle
+                               All waits accept --timeout <ms>
+  network record start [file]  Record active page traffic (--bodies; needs session)
+  network record stop [file]   Stop and write HAR 1.2 (relative paths: logs dir)
+  network record status        Show recording status
+  network rules list           List request rule sets (rules/ dir, config.json);
+                               sets with "domains" apply on open (needs session)
+  network rules apply <name>   Block/mock/rewrite requests (needs session)
+  network rules clear [name]   Remove applied rules
+  network rules status         Show applied rule sets
+  console [--level <level>]    Buffered console messages, page errors and failed
+          [--limit n] [--clear]  requests of all tabs (needs session)
+  console --follow             Stream them live (--json: one entry per line)
+  downloads [list]             List files in the downloads directory
+  downloads wait               Wait for a download and print its path (--timeout ms)
+  downloads clear              Delete downloaded files
+  state save <file>            Save cookies + local/sessionStorage (--domain d)
+  state load <file>            Restore a saved state (--domain d)
+
 Sequences:
   run <name> [--var k=v ...]   Run a sequence
+      [--har <file>] [--har-bodies]  Record the run's traffic to a HAR file
+      [--console]                    Save console output to the run log
+      [--dry-run]                    Show each step's resolved target without acting
+      [--step]                       Confirm each step (continue/skip/abort)
+      [--from <n>] [--to <n>]        Run only steps n..m (0-based, as in results)
+      [--data <file>]                Run once per row of a .csv/.json/.jsonl file
+      [--continue-on-error]          With --data: run every row even after a failure
   sequences                    List available sequences
+  record start <name>          Record interactions as a sequence (--force; needs session)
+  record stop                  Save it to sequences/<domain>/<name>.json
+  record status                Show recording status
+  runs [list]                  Recent sequence runs (--sequence name, --limit n)
+  runs show <id|last>          Step log, timings and failure artifacts of a run
+
+Session:
+  session start                Start the persistent session daemon
+  session stop                 Stop the session daemon
+  session status               Show session daemon status
 
 Knowledge:
   knowledge <domain>           Show knowledge for domain
@@ -374,7 +1275,11 @@ Display:
 Global Options:
   --cdp <port>                 CDP port (default: 9222)
   --headless                   Use headless mode
-  help                         Show this help`);
+  --tab <selector>             Act on a specific tab: index, url:<substring>
+                               or id:<target-id> (default: active tab)
+  --json                       Print one JSON document per command
+                               ({ ok, command, data } or { ok, command, error })
+  help                         Show this help`;
 }
 
 main();
@@ -1,6 +1,8 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { Browser } from '../browser.js';
+import path from 'node:path';
+import { Browser, parseTabSelector, resolveUploadFiles, autoScreenshotPath, tableToRecords, targetLocator } from '../browser.js';
+import { DATA_DIR } from '../config.js';
 import {
   BrowserError,
   TimeoutError,
@@ -9,6 +11,24 @@ import {
   DependencyError
 } from '../errors.js';
 
+describe('browser - resolveUploadFiles', () => {
+  it('resolves existing files to absolute paths', () => {
+    assert.deepEqual(resolveUploadFiles('package.json'), [path.resolve('package.json')]);
+  });
+
+  it('reports every missing file', () => {
+    assert.throws(() => resolveUploadFiles(['package.json', 'missing-a.pdf', 'src']), err => {
+      assert.equal(err.code, 'FILE_NOT_FOUND');
+      assert.deepEqual(err.details.files, [path.resolve('missing-a.pdf'), path.resolve('src')]);
+      return true;
+    });
+  });
+
+  it('rejects an empty list', () => {
+    assert.throws(() => resolveUploadFiles([]), { code: 'MISSING_ARGUMENT' });
+  });
+});
+
 describe('browser - Browser class construction', () => {
   it('creates instance with default config', () => {
     const browser = new Browser();
@@ -25,6 +45,154 @@ describe('browser - Browser class construction', () => {
   });
 });
 
+describe('browser - tab selection', () => {
+  const fakePage = url => ({ url: () => url });
+  const pages = [fakePage('https://a.example/'), fakePage('https://b.example/inbox'), fakePage('https://c.example/')];
+
+  it('parses tab selectors', () => {
+    assert.equal(parseTabSelector(null), null);
+    assert.deepEqual(parseTabSelector(2), { index: 2 });
+    assert.deepEqual(parseTabSelector('1'), { index: 1 });
+    assert.deepEqual(parseTabSelector('url:inbox'), { url: 'inbox' });
+    assert.deepEqual(parseTabSelector('id:ABC123'), { targetId: 'ABC123' });
+    assert.deepEqual(parseTabSelector('example.com/inbox'), { url: 'example.com/inbox' });
+  });
+
+  it('defaults to no explicit tab', () => {
+    assert.equal(new Browser().tab, null);
+    assert.equal(new Browser({ tab: '2' }).tab, '2');
+  });
+
+  it('matches pages by index and URL substring', async () => {
+    const browser = new Browser();
+    assert.equal(await browser._matchPage(pages, { index: 2 }), pages[2]);
+    assert.equal(await browser._matchPage(pages, { url: 'inbox' }), pages[1]);
+    assert.equal(await browser._matchPage(pages, { url: 'nowhere' }), null);
+    assert.equal(await browser._matchPage(pages, { index: 7 }), null);
+  });
+
+  it('prefers the reported URL when the index drifted', async () => {
+    const browser = new Browser();
+    const page = await browser._matchPage(pages, { index: 0, url: 'https://c.example/' });
+    assert.equal(page, pages[2]);
+  });
+});
+
+describe('browser - screenshots', () => {
+  it('auto-saves to the configured directory only when enabled', () => {
+    assert.equal(autoScreenshotPath('png', { screenshots: { auto_save: false } }), null);
+    const file = autoScreenshotPath('jpeg', { screenshots: { auto_save: true, directory: 'shots' } });
+    assert.equal(path.dirname(file), path.join(DATA_DIR, 'shots'));
+    assert.match(path.basename(file), /^screenshot-.+\.jpg$/);
+  });
+
+  it('uses agent-browser for full-page PNGs', async () => {
+    const browser = new Browser();
+    let call;
+    browser._exec = async (args, options) => {
+      call = { args, options };
+      return { path: '/tmp/out.png' };
+    };
+    assert.deepEqual(await browser.saveScreenshot('/tmp/out.png', { fullPage: true }), { path: '/tmp/out.png' });
+    assert.deepEqual(call, { args: ['screenshot', '--full', '/tmp/out.png'], options: { json: true } });
+    assert.equal(await browser.screenshot('/tmp/out.png'), '/tmp/out.png');
+  });
+
+  it('rejects quality without jpeg', async () => {
+    await assert.rejects(new Browser().screenshot('/tmp/x.png', { quality: 80 }), { code: 'INVALID_ARGUMENT' });
+    await assert.rejects(new Browser().screenshot('/tmp/x.gif', { format: 'gif' }), { code: 'INVALID_ARGUMENT' });
+  });
+
+  it('resolves refs to role locators from the interactive snapshot', async () => {
+    const browser = new Browser();
+    const calls = [];
+    const locator = {
+      nth: n => (calls.push(['nth', n]), locator),
+      first: () => (calls.push(['first']), locator)
+    };
+    browser._getPage = async () => ({
+      getByRole: (role, options) => (calls.push(['role', role, options]), locator),
+      locator: css => (calls.push(['css', css]), locator)
+    });
+    browser.snapshot = async () => '- button "Save" [ref=e1]\n- button "Save" [ref=e2] [nth=1]\n- textbox [ref=e3]';
+
+    await browser._locator('@e2');
+    await browser._locator('@e3');
+    await browser._locator('#main');
+    assert.deepEqual(calls, [
+      ['role', 'button', { name: 'Save', exact: true }], ['nth', 1],
+      ['role', 'textbox', undefined], ['first'],
+      ['css', '#main']
+    ]);
+    await assert.rejects(browser._locator('@e9'), { code: 'ELEMENT_NOT_FOUND' });
+  });
+});
+
+describe('browser - selector targets', () => {
+  const page = {
+    locator: selector => ['locator', selector],
+    getByText: (text, options) => ['text', text, options],
+    getByLabel: (text, options) => ['label', text, options],
+    getByPlaceholder: (text, options) => ['placeholder', text, options]
+  };
+
+  it('builds Playwright locators for each selector kind', () => {
+    assert.deepEqual(targetLocator(page, { css: 'button.icon' }), ['locator', 'button.icon']);
+    assert.deepEqual(targetLocator(page, { xpath: '//nav/a[2]' }), ['locator', 'xpath=//nav/a[2]']);
+    assert.deepEqual(targetLocator(page, { text: 'Sign in', exact: true }), ['text', 'Sign in', { exact: true }]);
+    assert.deepEqual(targetLocator(page, { label: 'Email' }), ['label', 'Email', { exact: false }]);
+    assert.deepEqual(targetLocator(page, { placeholder: 'Search' }), ['placeholder', 'Search', { exact: false }]);
+    assert.throws(() => targetLocator(page, { role: 'button' }), { code: 'INVALID_ARGUMENT' });
+
+    const scoped = { ...page, getByRole: (role, options) => ({ getByText: text => ['text in', role, options.name, text] }) };
+    assert.deepEqual(targetLocator(scoped, { text: 'Remove', within: { role: 'dialog', name: 'Cart' } }), ['text in', 'dialog', 'Cart', 'Remove']);
+  });
+
+  it('marks the nth match and returns a selector for it', async () => {
+    const browser = new Browser();
+    const picked = [];
+    const match = {
+      count: async () => 1,
+      evaluate: async (fn, [attribute]) => (picked.push(attribute), { role: 'button', name: 'Close', disabled: false })
+    };
+    browser._getPage = async () => ({
+      locator: () => ({ nth: n => (picked.push(n), n === 0 ? match : { count: async () => 0 }) })
+    });
+
+    const { ref, ...element } = await browser.locateTarget({ css: '.close' });
+    assert.match(ref, /^\[data-zylos-target="[\w-]+"\]$/);
+    assert.deepEqual(element, { role: 'button', name: 'Close', disabled: false });
+    assert.equal(await browser.locateTarget({ css: '.close', nth: 3 }), null);
+    assert.deepEqual(picked, [0, 'data-zylos-target', 3]);
+  });
+});
+
+describe('browser - extract', () => {
+  it('keys table rows by header, falling back to column numbers', () => {
+    const rows = [['Name', '', 'Name'], ['Ada', '1', 'x'], ['Bob']];
+    assert.deepEqual(tableToRecords(rows, true), [
+      { Name: 'Ada', column_2: '1', column_3: 'x' },
+      { Name: 'Bob', column_2: '', column_3: '' }
+    ]);
+    assert.deepEqual(tableToRecords([['a', 'b']], false), [['a', 'b']]);
+  });
+
+  it('reads text or an attribute of the first match', async () => {
+    const browser = new Browser();
+    const calls = [];
+    const first = {
+      innerText: async () => 'Total: 3',
+      getAttribute: async name => (calls.push(name), '/next')
+    };
+    browser._locator = async () => ({ first: () => first, allInnerTexts: async () => ['a', 'b'] });
+
+    assert.equal(await browser.extract('.total'), 'Total: 3');
+    assert.equal(await browser.extract('a.next', { attribute: 'href' }), '/next');
+    assert.deepEqual(await browser.extract('li', { all: true }), ['a', 'b']);
+    assert.deepEqual(calls, ['href']);
+  });
+});
+
 describe('browser - _parseArgs', () => {
   const browser = new Browser();
 
@@ -71,6 +239,16 @@ describe('browser - error classes', () => {
     assert.ok(err instanceof Error);
   });
 
+  it('BrowserError serializes to a plain object', () => {
+    const err = new TimeoutError('too slow', { timeout: 5 });
+    assert.deepEqual(JSON.parse(JSON.stringify(err)), {
+      name: 'TimeoutError',
+      code: 'TIMEOUT',
+      message: 'too slow',
+      details: { timeout: 5 }
+    });
+  });
+
   it('TimeoutError defaults', () => {
     const err = new TimeoutError();
     assert.equal(err.code, 'TIMEOUT');
@@ -0,0 +1,137 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  ConsoleCollector, messageLevel, parseLevel, filterEntries, countEntries, formatEntry,
+  writeConsoleLog, readConsoleLog
+} from '../console.js';
+import { analyzeConsole, analyzeResult } from '../analyzer.js';
+import { validateSequence } from '../sequence.js';
+
+const page = { url: () => 'https://app.test/' };
+
+function consoleMessage(type, text) {
+  return {
+    type: () => type,
+    text: () => text,
+    page: () => page,
+    location: () => ({ url: 'https://app.test/main.js', lineNumber: 9, columnNumber: 4 })
+  };
+}
+
+function failedRequest(url, errorText) {
+  return {
+    method: () => 'GET',
+    url: () => url,
+    failure: () => ({ errorText }),
+    frame: () => ({ page: () => page })
+  };
+}
+
+describe('console - levels', () => {
+  it('maps console message types to levels', () => {
+    assert.equal(messageLevel('error'), 'error');
+    assert.equal(messageLevel('warning'), 'warning');
+    assert.equal(messageLevel('log'), 'info');
+    assert.equal(messageLevel('debug'), 'debug');
+  });
+
+  it('parses user-supplied levels', () => {
+    assert.equal(parseLevel('warn'), 'warning');
+    assert.equal(parseLevel('error'), 'error');
+    assert.equal(parseLevel('loud'), null);
+  });
+});
+
+describe('console - ConsoleCollector', () => {
+  it('records console messages, page errors and failed requests', () => {
+    const context = new EventEmitter();
+    const seen = [];
+    const collector = new ConsoleCollector({ onEntry: e => seen.push(e.id) });
+    collector.attach(context);
+    collector.attach(context);
+
+    context.emit('console', consoleMessage('log', 'hello'));
+    context.emit('weberror', { error: () => new TypeError('x is undefined'), page: () => page });
+    context.emit('requestfailed', failedRequest('https://api.test/items', 'net::ERR_CONNECTION_REFUSED'));
+    context.emit('requestfailed', failedRequest('https://ads.test/pixel', 'net::ERR_BLOCKED_BY_CLIENT'));
+
+    const [log, error, failed, blocked] = collector.entries;
+    assert.deepEqual(seen, [1, 2, 3, 4]);
+    assert.equal(log.location, 'https://app.test/main.js:10:5');
+    assert.equal(error.type, 'pageerror');
+    assert.equal(error.text, 'x is undefined');
+    assert.equal(failed.level, 'error');
+    assert.equal(blocked.level, 'warning');
+
+    collector.detach();
+    context.emit('console', consoleMessage('log', 'late'));
+    assert.equal(collector.entries.length, 4);
+  });
+
+  it('drops the oldest entries beyond the limit', () => {
+    const context = new EventEmitter();
+    const collector = new ConsoleCollector({ limit: 2 });
+    collector.attach(context);
+    for (const text of ['a', 'b', 'c']) context.emit('console', consoleMessage('log', text));
+    assert.deepEqual(collector.entries.map(e => e.text), ['b', 'c']);
+    assert.equal(collector.lastId, 3);
+  });
+});
+
+describe('console - filtering and logs', () => {
+  const entries = [
+    { id: 1, time: '2026-01-01T10:00:00.000Z', type: 'console', level: 'info', text: 'boot' },
+    { id: 2, time: '2026-01-01T10:00:01.000Z', type: 'console', level: 'warning', text: 'slow' },
+    { id: 3, time: '2026-01-01T10:00:02.000Z', type: 'pageerror', level: 'error', text: 'boom' }
+  ];
+
+  it('filters by minimum level, id and limit', () => {
+    assert.deepEqual(filterEntries(entries, { level: 'warning' }).map(e => e.id), [2, 3]);
+    assert.deepEqual(filterEntries(entries, { after: 1 }).map(e => e.id), [2, 3]);
+    assert.deepEqual(filterEntries(entries, { limit: 1 }).map(e => e.id), [3]);
+  });
+
+  it('counts and formats entries', () => {
+    assert.deepEqual(countEntries(entries), { total: 3, error: 1, warning: 1, info: 1, debug: 0 });
+    assert.equal(formatEntry(entries[2]), '10:00:02.000 [pageerror] boom');
+  });
+
+  it('round-trips a JSON Lines log', () => {
+    const file = path.join(os.tmpdir(), `zylos-console-${process.pid}.jsonl`);
+    writeConsoleLog(entries, file);
+    assert.deepEqual(readConsoleLog(file), entries);
+    fs.unlinkSync(file);
+  });
+});
+
+describe('analyzer - console heuristics', () => {
+  const entries = [
+    { type: 'pageerror', level: 'error', text: 'x is undefined' },
+    { type: 'pageerror', level: 'error', text: 'x is undefined' },
+    { type: 'requestfailed', level: 'error', text: 'GET https://api.test/items — net::ERR_FAILED' },
+    { type: 'requestfailed', level: 'warning', text: 'GET https://ads.test/p — net::ERR_BLOCKED_BY_CLIENT' },
+    { type: 'console', level: 'error', text: 'Failed to load resource: the server responded with a status of 502 ()' }
+  ];
+
+  it('derives learnings from page errors and failed requests', () => {
+    const result = analyzeConsole(entries);
+    assert.equal(result.pageErrors, 2);
+    assert.equal(result.failedRequests, 1);
+    assert.equal(result.learnings.length, 3);
+    assert.ok(result.learnings[1].includes('api.test'));
+  });
+
+  it('adds console learnings to failed tasks only', () => {
+    assert.equal(analyzeResult('Step 2 failed: element not found', '', 't', entries).learnings.length, 4);
+    assert.equal(analyzeResult('completed', '', 't', entries).learnings.length, 0);
+  });
+
+  it('accepts a console option on sequences', () => {
+    assert.equal(validateSequence({ name: 's', console: 'error', steps: [] }).valid, true);
+    assert.equal(validateSequence({ name: 's', console: 'loud', steps: [] }).valid, false);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Sequences are looked up under ZYLOS_DIR, which config.js reads on import
+const zylosDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zylos-data-'));
+process.env.ZYLOS_DIR = zylosDir;
+const { parseCsv, loadDataset, runDataset } = await import('../datasets.js');
+const { REDACTED } = await import('../runs.js');
+
+after(() => fs.rmSync(zylosDir, { recursive: true, force: true }));
+
+describe('datasets - loading', () => {
+  it('parses quoted CSV fields', () => {
+    assert.deepEqual(parseCsv('\uFEFFname,note\r\n"Doe, Jane","said ""hi""\nthen left"\n\n'), [
+      ['name', 'note'],
+      ['Doe, Jane', 'said "hi"\nthen left']
+    ]);
+    assert.throws(() => parseCsv('a\n"open'), /unterminated/);
+  });
+
+  it('loads CSV, JSON and JSONL rows, leaving out empty cells', () => {
+    const csv = path.join(zylosDir, 'rows.csv');
+    fs.writeFileSync(csv, 'email,plan\nada@example.com,pro\nbob@example.com,\n');
+    assert.deepEqual(loadDataset(csv), [{ email: 'ada@example.com', plan: 'pro' }, { email: 'bob@example.com' }]);
+
+    const jsonl = path.join(zylosDir, 'rows.jsonl');
+    fs.writeFileSync(jsonl, '{"seats": 3, "plan": null}\n\n{"seats": 5}\n');
+    assert.deepEqual(loadDataset(jsonl), [{ seats: 3 }, { seats: 5 }]);
+
+    const json = path.join(zylosDir, 'rows.json');
+    fs.writeFileSync(json, '{"email": "x"}');
+    assert.throws(() => loadDataset(json), { code: 'INVALID_ARGUMENT', message: /array of objects/ });
+    assert.throws(() => loadDataset(path.join(zylosDir, 'rows.txt')), { code: 'FILE_NOT_FOUND' });
+  });
+});
+
+describe('datasets - runDataset', () => {
+  let dir;
+
+  before(() => {
+    const sequences = path.join(zylosDir, 'components/browser/sequences');
+    fs.mkdirSync(sequences, { recursive: true });
+    fs.writeFileSync(path.join(sequences, 'signup.json'), JSON.stringify({
+      name: 'signup',
+      variables: { email: { type: 'email' }, code: { type: 'secret' } },
+      steps: [{ action: 'wait' }]
+    }));
+    dir = path.join(zylosDir, 'reports');
+  });
+
+  const rows = [{ email: 'a@x.io' }, { email: 'bad' }, { email: 'c@x.io' }];
+  const run = async (name, variables) => {
+    if (variables.email === 'bad') return { success: false, error: 'Invalid variable email', steps: [] };
+    return { success: true, steps: [], outputs: { id: variables.email }, run: { id: `run-${variables.email}` } };
+  };
+
+  it('stops at the first failed row by default', async () => {
+    const report = await runDataset('signup', rows, { variables: { code: '1234' }, dir }, run);
+    assert.deepEqual([report.passed, report.failed, report.skipped], [1, 1, 1]);
+    assert.equal(report.rows[0].variables.code, REDACTED);
+    assert.deepEqual(report.rows[0].outputs, { id: 'a@x.io' });
+    assert.deepEqual(JSON.parse(fs.readFileSync(report.file, 'utf8')).rows.length, 2);
+  });
+
+  it('runs every row with continueOnError and records thrown errors', async () => {
+    const seen = [];
+    const report = await runDataset('signup', [...rows, { email: 'boom' }], {
+      dir,
+      continueOnError: true,
+      onRow: entry => seen.push(entry.row)
+    }, async (name, variables) => {
+      if (variables.email === 'boom') throw new Error('Chrome is gone');
+      return run(name, variables);
+    });
+    assert.deepEqual(seen, [1, 2, 3, 4]);
+    assert.deepEqual([report.passed, report.failed, report.skipped], [2, 2, 0]);
+    assert.equal(report.rows[3].error, 'Chrome is gone');
+    assert.equal(report.rows[2].run, 'run-c@x.io');
+  });
+});
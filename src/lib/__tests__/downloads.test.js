@@ -0,0 +1,122 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { DownloadTracker, uniqueFilePath, listDownloads, clearDownloads } from '../downloads.js';
+import { configureDownloadPreferences } from '../display.js';
+import { validateSequence } from '../sequence.js';
+
+const GUID = '0b7e4c1e-2f7a-4a39-9d43-5c1f0e6b2a11';
+
+function fakeSession() {
+  const session = new EventEmitter();
+  session.sent = [];
+  session.send = async (method, params) => session.sent.push([method, params]);
+  return session;
+}
+
+describe('downloads', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zylos-downloads-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('picks a file name that does not overwrite', () => {
+    fs.writeFileSync(path.join(dir, 'report.csv'), '');
+    fs.writeFileSync(path.join(dir, 'report (1).csv'), '');
+    assert.equal(uniqueFilePath(dir, 'report.csv'), path.join(dir, 'report (2).csv'));
+    assert.equal(uniqueFilePath(dir, '../evil.sh'), path.join(dir, 'evil.sh'));
+  });
+
+  it('arms Chrome and renames finished downloads', async () => {
+    const session = fakeSession();
+    const tracker = new DownloadTracker({ dir });
+    tracker.attach(session);
+    await tracker.arm();
+    assert.deepEqual(session.sent[0], ['Browser.setDownloadBehavior', { behavior: 'allowAndName', downloadPath: dir, eventsEnabled: true }]);
+
+    const waiting = tracker.waitFor({ timeout: 1000 });
+    session.emit('Browser.downloadWillBegin', { guid: GUID, url: 'https://x.test/export', suggestedFilename: 'export.csv' });
+    fs.writeFileSync(path.join(dir, GUID), 'a,b\n');
+    session.emit('Browser.downloadProgress', { guid: GUID, state: 'completed', receivedBytes: 4, totalBytes: 4 });
+
+    const download = await waiting;
+    assert.equal(download.file, path.join(dir, 'export.csv'));
+    assert.equal(download.size, 4);
+    assert.equal(fs.readFileSync(download.file, 'utf8'), 'a,b\n');
+  });
+
+  it('returns a download that finished before the wait, once', async () => {
+    const session = fakeSession();
+    const tracker = new DownloadTracker({ dir });
+    tracker.attach(session);
+    session.emit('Browser.downloadWillBegin', { guid: GUID, url: 'https://x.test/a', suggestedFilename: 'a.txt' });
+    fs.writeFileSync(path.join(dir, GUID), 'a');
+    session.emit('Browser.downloadProgress', { guid: GUID, state: 'completed', receivedBytes: 1 });
+
+    assert.equal((await tracker.waitFor({ timeout: 100 })).name, 'a.txt');
+    await assert.rejects(tracker.waitFor({ timeout: 50 }), { code: 'TIMEOUT' });
+  });
+
+  it('reports canceled downloads', async () => {
+    const session = fakeSession();
+    const tracker = new DownloadTracker({ dir });
+    tracker.attach(session);
+    const waiting = tracker.waitFor({ timeout: 1000 });
+    session.emit('Browser.downloadWillBegin', { guid: GUID, url: 'https://x.test/a', suggestedFilename: 'a.txt' });
+    session.emit('Browser.downloadProgress', { guid: GUID, state: 'canceled' });
+    await assert.rejects(waiting, { code: 'DOWNLOAD_FAILED' });
+  });
+
+  it('lists and clears finished files only', () => {
+    fs.writeFileSync(path.join(dir, 'done.pdf'), 'pdf');
+    fs.writeFileSync(path.join(dir, GUID), 'partial');
+    assert.deepEqual(listDownloads(dir).map(d => d.name), ['done.pdf']);
+    assert.deepEqual(clearDownloads(dir), { removed: 1 });
+    assert.ok(fs.existsSync(path.join(dir, GUID)));
+  });
+
+  it('writes Chrome download preferences, keeping other settings', () => {
+    const prefsPath = path.join(dir, 'profile', 'Default', 'Preferences');
+    fs.mkdirSync(path.dirname(prefsPath), { recursive: true });
+    fs.writeFileSync(prefsPath, JSON.stringify({ intl: { accept_languages: 'en' }, download: { extensions_to_open: '' } }));
+
+    configureDownloadPreferences(path.join(dir, 'profile'), path.join(dir, 'dl'));
+    const prefs = JSON.parse(fs.readFileSync(prefsPath, 'utf8'));
+    assert.equal(prefs.download.default_directory, path.join(dir, 'dl'));
+    assert.equal(prefs.download.prompt_for_download, false);
+    assert.equal(prefs.download.extensions_to_open, '');
+    assert.equal(prefs.intl.accept_languages, 'en');
+  });
+
+  it('creates preferences for a new profile', () => {
+    assert.equal(configureDownloadPreferences(path.join(dir, 'profile'), path.join(dir, 'dl')), true);
+    const prefs = JSON.parse(fs.readFileSync(path.join(dir, 'profile', 'Default', 'Preferences'), 'utf8'));
+    assert.equal(prefs.download.default_directory, path.join(dir, 'dl'));
+  });
+
+  it('leaves unparseable preferences alone', t => {
+    const prefsPath = path.join(dir, 'profile', 'Default', 'Preferences');
+    fs.mkdirSync(path.dirname(prefsPath), { recursive: true });
+    fs.writeFileSync(prefsPath, '{"intl": {"accept_languages": "en"'); // truncated by a crash
+    t.mock.method(console, 'error', () => {});
+
+    assert.equal(configureDownloadPreferences(path.join(dir, 'profile'), path.join(dir, 'dl')), false);
+    assert.equal(fs.readFileSync(prefsPath, 'utf8'), '{"intl": {"accept_languages": "en"');
+    assert.match(console.error.mock.calls[0].arguments[0], /Leaving .*Preferences unchanged/);
+  });
+
+  it('validates wait_for_download steps', () => {
+    const ok = { name: 's', steps: [{ action: 'wait_for_download', as: 'report_path' }] };
+    const bad = { name: 's', steps: [{ action: 'wait_for_download', as: 'report path' }] };
+    assert.equal(validateSequence(ok).valid, true);
+    assert.equal(validateSequence(bad).valid, false);
+  });
+});
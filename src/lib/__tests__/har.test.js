@@ -0,0 +1,137 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import path from 'node:path';
+import { harTimings, buildHarEntry, HarRecorder, resolveHarPath } from '../har.js';
+import { LOGS_DIR } from '../config.js';
+
+const TIMING = {
+  startTime: Date.UTC(2026, 0, 1),
+  domainLookupStart: 2,
+  domainLookupEnd: 7,
+  connectStart: 7,
+  secureConnectionStart: 10,
+  connectEnd: 20,
+  requestStart: 21,
+  responseStart: 61,
+  responseEnd: 71
+};
+
+describe('har - timings', () => {
+  it('derives HAR phases from Playwright timing', () => {
+    assert.deepEqual(harTimings(TIMING), {
+      blocked: 2, dns: 5, connect: 13, ssl: 10, send: 0, wait: 40, receive: 10
+    });
+  });
+
+  it('marks unavailable phases as -1', () => {
+    const reused = { ...TIMING, domainLookupStart: -1, domainLookupEnd: -1, connectStart: -1, secureConnectionStart: -1, connectEnd: -1 };
+    const timings = harTimings(reused);
+    assert.equal(timings.dns, -1);
+    assert.equal(timings.connect, -1);
+    assert.equal(timings.blocked, 21);
+  });
+});
+
+describe('har - buildHarEntry', () => {
+  it('builds a HAR 1.2 entry', () => {
+    const entry = buildHarEntry({
+      startedDateTime: '2026-01-01T00:00:00.000Z',
+      method: 'POST',
+      url: 'https://api.example.com/items?page=2',
+      requestHeaders: { 'content-type': 'application/json' },
+      postData: '{"a":1}',
+      resourceType: 'fetch',
+      status: 201,
+      statusText: 'Created',
+      responseHeaders: { 'content-type': 'application/json' },
+      body: '{"id":5}',
+      timing: TIMING
+    });
+    assert.equal(entry.request.method, 'POST');
+    assert.deepEqual(entry.request.queryString, [{ name: 'page', value: '2' }]);
+    assert.equal(entry.request.postData.text, '{"a":1}');
+    assert.equal(entry.response.status, 201);
+    assert.equal(entry.response.content.text, '{"id":5}');
+    assert.equal(entry.response.content.mimeType, 'application/json');
+    assert.equal(entry.time, 70);
+    assert.equal(entry._resourceType, 'fetch');
+  });
+
+  it('records failures with status 0', () => {
+    const entry = buildHarEntry({ startedDateTime: 'x', method: 'GET', url: 'https://x.test/', failure: 'net::ERR_FAILED' });
+    assert.equal(entry.response.status, 0);
+    assert.equal(entry._failureText, 'net::ERR_FAILED');
+  });
+});
+
+describe('har - HarRecorder', () => {
+  function fakeRequest(url, { failed = false, body = 'hello' } = {}) {
+    const response = {
+      status: () => 200,
+      statusText: () => 'OK',
+      allHeaders: async () => ({ 'content-type': 'text/plain' }),
+      headers: () => ({}),
+      body: async () => Buffer.from(body)
+    };
+    return {
+      url: () => url,
+      method: () => 'GET',
+      resourceType: () => 'document',
+      postData: () => null,
+      timing: () => TIMING,
+      allHeaders: async () => ({ accept: '*/*' }),
+      headers: () => ({}),
+      response: async () => (failed ? null : response),
+      sizes: async () => ({ requestBodySize: 0, requestHeadersSize: 50, responseBodySize: body.length, responseHeadersSize: 80 }),
+      failure: () => (failed ? { errorText: 'net::ERR_ABORTED' } : null)
+    };
+  }
+
+  it('records finished and failed requests until detached', async () => {
+    const page = new EventEmitter();
+    const recorder = new HarRecorder({ bodies: true });
+    recorder.attach(page);
+    page.emit('requestfinished', fakeRequest('https://a.test/'));
+    page.emit('requestfailed', fakeRequest('https://a.test/ad.js', { failed: true }));
+    await recorder.detach();
+    page.emit('requestfinished', fakeRequest('https://a.test/late'));
+
+    const har = recorder.toHar();
+    assert.equal(har.log.version, '1.2');
+    assert.equal(har.log.entries.length, 2);
+    const ok = har.log.entries.find(e => e.request.url === 'https://a.test/');
+    assert.equal(ok.response.content.text, 'hello');
+    const failed = har.log.entries.find(e => e._failureText);
+    assert.equal(failed._failureText, 'net::ERR_ABORTED');
+  });
+
+  it('omits bodies unless requested', async () => {
+    const page = new EventEmitter();
+    const recorder = new HarRecorder();
+    recorder.attach(page);
+    page.emit('requestfinished', fakeRequest('https://a.test/'));
+    await recorder.detach();
+    assert.equal(recorder.toHar().log.entries[0].response.content.text, undefined);
+  });
+
+  it('leaves out requests that can no longer be read', async () => {
+    const page = new EventEmitter();
+    const recorder = new HarRecorder();
+    recorder.attach(page);
+    const gone = fakeRequest('https://a.test/gone');
+    gone.allHeaders = async () => { throw new Error('Target closed'); };
+    gone.headers = () => { throw new Error('Target closed'); };
+    page.emit('requestfinished', gone);
+    page.emit('requestfinished', fakeRequest('https://a.test/'));
+    await recorder.detach();
+    assert.deepEqual(recorder.toHar().log.entries.map(e => e.request.url), ['https://a.test/']);
+  });
+});
+
+describe('har - resolveHarPath', () => {
+  it('places relative paths in LOGS_DIR', () => {
+    assert.equal(resolveHarPath('run.har'), path.join(LOGS_DIR, 'run.har'));
+    assert.equal(resolveHarPath('/tmp/run.har'), '/tmp/run.har');
+  });
+});
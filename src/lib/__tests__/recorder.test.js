@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import path from 'node:path';
+import { SequenceRecorder, stepFromEvent, recordedSequencePath, rejectedRecordingPath } from '../recorder.js';
+import { SEQUENCES_DIR, LOGS_DIR } from '../config.js';
+import { validateSequence } from '../sequence.js';
+
+function fakePage(url) {
+  const page = new EventEmitter();
+  const mainFrame = { url: () => url };
+  page.mainFrame = () => mainFrame;
+  page.evaluate = async () => {};
+  page.navigate = to => {
+    url = to;
+    page.emit('framenavigated', mainFrame);
+  };
+  return page;
+}
+
+function fakeContext(pages) {
+  const context = new EventEmitter();
+  context.pages = () => pages;
+  context.scripts = [];
+  context.exposeBinding = async (name, fn) => {
+    if (context.binding) throw new Error(`Function "${name}" has been already registered`);
+    context.binding = fn;
+  };
+  context.addInitScript = async script => context.scripts.push(script);
+  return context;
+}
+
+describe('recorder - steps', () => {
+  it('maps interactions to role/name targets with fallbacks', () => {
+    assert.deepEqual(stepFromEvent({ type: 'click', role: 'button', name: 'Sign in', alternatives: ['Log in'], nth: 1 }), {
+      action: 'click',
+      target: { role: 'button', name: 'Sign in', nth: 1 },
+      fallback_targets: [{ role: 'button', name: 'Log in' }]
+    });
+    assert.deepEqual(stepFromEvent({ type: 'select', role: 'combobox', name: 'Country', alternatives: [], nth: 0, value: 'Norway' }), {
+      action: 'select', target: { role: 'combobox', name: 'Country' }, value: 'Norway'
+    });
+    assert.deepEqual(stepFromEvent({ type: 'keypress', key: 'Enter' }), { action: 'keypress', key: 'Enter' });
+  });
+
+  it('replaces password values with variables', () => {
+    const step = stepFromEvent({ type: 'fill', role: 'textbox', name: 'Password', value: 'hunter2', secret: true });
+    assert.equal(step.value, '{{password}}');
+  });
+
+  it('saves under the domain of the start page', () => {
+    assert.equal(recordedSequencePath('login', 'https://www.example.com/a'), path.join(SEQUENCES_DIR, 'example.com', 'login.json'));
+  });
+
+  it('keeps invalid recordings out of the sequences directory', () => {
+    const file = rejectedRecordingPath('login');
+    assert.equal(path.dirname(file), path.join(LOGS_DIR, 'recordings'));
+    assert.match(path.basename(file), /^login-.+\.json$/);
+  });
+});
+
+describe('recorder - SequenceRecorder', () => {
+  it('records page events and unprompted navigations into a valid sequence', async () => {
+    const page = fakePage('https://app.test/login');
+    const context = fakeContext([page]);
+    const recorder = new SequenceRecorder({ name: 'login', url: 'https://app.test/login' });
+    await recorder.attach(context);
+    assert.equal(context.scripts.length, 1);
+    assert.doesNotThrow(() => new Function(context.scripts[0]));
+
+    const source = { page, frame: page.mainFrame() };
+    context.binding(source, { type: 'fill', role: 'textbox', name: 'Email', alternatives: [], nth: 0, value: 'a' });
+    context.binding(source, { type: 'fill', role: 'textbox', name: 'Email', alternatives: [], nth: 0, value: 'ada@app.test' });
+    context.binding(source, { type: 'fill', role: 'textbox', name: 'Password', alternatives: [], nth: 0, value: 'x', secret: true });
+    context.binding(source, { type: 'click', role: 'button', name: 'Sign in', alternatives: [], nth: 0 });
+    context.binding({ page, frame: {} }, { type: 'click', role: 'button', name: 'In iframe', alternatives: [], nth: 0 });
+    page.navigate('https://app.test/home');
+
+    recorder._lastActionAt = 0;
+    page.navigate('https://app.test/settings');
+    recorder.detach();
+    page.navigate('https://app.test/other');
+
+    const sequence = recorder.toSequence();
+    assert.equal(sequence.domain, 'app.test');
+    assert.deepEqual(Object.keys(sequence.variables), ['password']);
+    assert.deepEqual(sequence.steps.map(s => s.action), ['navigate', 'fill', 'fill', 'click', 'navigate']);
+    assert.equal(sequence.steps[1].value, 'ada@app.test');
+    assert.equal(sequence.steps[4].url, 'https://app.test/settings');
+    assert.deepEqual(validateSequence(sequence).errors, []);
+  });
+
+  it('prepares the context again after a failed attach', async () => {
+    const context = fakeContext([]);
+    const addInitScript = context.addInitScript;
+    context.addInitScript = async () => { throw new Error('Target closed'); };
+    const recorder = new SequenceRecorder({ name: 'login', url: 'https://app.test/login' });
+    await assert.rejects(recorder.attach(context), /Target closed/);
+
+    context.addInitScript = addInitScript;
+    await recorder.attach(context);
+    assert.equal(context.scripts.length, 1);
+    recorder.detach();
+  });
+});
@@ -0,0 +1,225 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Rule files and config.json live under ZYLOS_DIR, which config.js reads on import
+const zylosDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zylos-rules-home-'));
+process.env.ZYLOS_DIR = zylosDir;
+const { RULES_DIR, CONFIG_PATH } = await import('../config.js');
+const { validateRuleSet, createRouteHandler, loadRuleSet, domainRuleSets } = await import('../rules.js');
+const { validateSequence } = await import('../sequence.js');
+const { Browser } = await import('../browser.js');
+
+const block = [{ match: '**/ads/**', action: 'block' }];
+fs.mkdirSync(RULES_DIR, { recursive: true });
+fs.writeFileSync(path.join(RULES_DIR, 'no-ads.json'), JSON.stringify({ domains: ['shop.test'], rules: block }));
+fs.writeFileSync(path.join(RULES_DIR, 'stub-api.json'), JSON.stringify({ rules: block }));
+fs.writeFileSync(path.join(RULES_DIR, 'broken.json'), '{ "domains": [');
+fs.writeFileSync(CONFIG_PATH, JSON.stringify({
+  network: { rules: { 'cdn-images': { domains: ['cdn.shop.test'], rules: [{ match: '**/*.png', action: 'block' }] } } }
+}));
+
+after(() => fs.rmSync(zylosDir, { recursive: true, force: true }));
+
+/**
+ * Minimal stand-in for a Playwright Route that records what the handler did
+ */
+function fakeRoute(resourceType = 'document', headers = { cookie: 'a=1', accept: '*/*' }) {
+  const calls = [];
+  return {
+    calls,
+    request: () => ({ resourceType: () => resourceType, headers: () => headers }),
+    abort: async code => calls.push(['abort', code]),
+    continue: async () => calls.push(['continue']),
+    fulfill: async response => calls.push(['fulfill', response]),
+    fallback: async overrides => calls.push(['fallback', overrides])
+  };
+}
+
+describe('rules - validateRuleSet', () => {
+  it('accepts a valid rule set', () => {
+    const result = validateRuleSet({
+      rules: [
+        { match: '**/*.png', action: 'block' },
+        { match: '**/api/**', action: 'fulfill', body: { ok: true } },
+        { match: '**/*', action: 'headers', set: { 'x-test': '1' } },
+        { match: '**/cdn/**', action: 'allow', resource_types: ['script'] }
+      ]
+    });
+    assert.equal(result.valid, true);
+  });
+
+  it('reports every invalid rule', () => {
+    const result = validateRuleSet({
+      rules: [
+        { action: 'block' },
+        { match: '**', action: 'explode' },
+        { match: '**', action: 'fulfill' },
+        { match: '**', action: 'headers' }
+      ]
+    });
+    assert.equal(result.valid, false);
+    assert.equal(result.errors.length, 4);
+  });
+
+  it('checks domains', () => {
+    assert.deepEqual(validateRuleSet({ domains: 'shop.test', rules: [] }).errors, ['"domains" must be an array of domain names']);
+    assert.equal(validateRuleSet({ domains: ['shop.test'], rules: [] }).valid, true);
+  });
+
+  it('rejects a missing rules array', () => {
+    assert.equal(validateRuleSet({}).valid, false);
+  });
+});
+
+describe('rules - createRouteHandler', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zylos-rules-'));
+    fs.mkdirSync(path.join(dir, 'fixtures'));
+    fs.writeFileSync(path.join(dir, 'fixtures', 'items.json'), '[1,2]');
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('blocks requests', async () => {
+    const route = fakeRoute();
+    await createRouteHandler({ match: '**', action: 'block' }, dir)(route);
+    assert.deepEqual(route.calls, [['abort', 'blockedbyclient']]);
+  });
+
+  it('falls through when the resource type does not match', async () => {
+    const route = fakeRoute('document');
+    await createRouteHandler({ match: '**', action: 'block', resource_types: ['image'] }, dir)(route);
+    assert.deepEqual(route.calls, [['fallback', undefined]]);
+  });
+
+  it('fulfills from a fixture file with an inferred content type', async () => {
+    const route = fakeRoute();
+    await createRouteHandler({ match: '**', action: 'fulfill', file: 'fixtures/items.json' }, dir)(route);
+    const [kind, response] = route.calls[0];
+    assert.equal(kind, 'fulfill');
+    assert.equal(response.status, 200);
+    assert.equal(response.contentType, 'application/json');
+    assert.equal(response.body.toString(), '[1,2]');
+  });
+
+  it('fulfills inline JSON bodies', async () => {
+    const route = fakeRoute();
+    await createRouteHandler({ match: '**', action: 'fulfill', body: { ok: true }, status: 503 }, dir)(route);
+    assert.equal(route.calls[0][1].body, '{"ok":true}');
+    assert.equal(route.calls[0][1].status, 503);
+  });
+
+  it('rewrites headers and passes the request on', async () => {
+    const route = fakeRoute();
+    await createRouteHandler({ match: '**', action: 'headers', set: { 'X-Env': 'test' }, remove: ['Cookie'] }, dir)(route);
+    assert.deepEqual(route.calls, [['fallback', { headers: { accept: '*/*', 'x-env': 'test' } }]]);
+  });
+
+  it('refuses fixtures outside the rules directory', () => {
+    assert.throws(
+      () => createRouteHandler({ match: '**', action: 'fulfill', file: '../secret.json' }, dir),
+      { code: 'INVALID_RULES' }
+    );
+  });
+
+  it('reports missing fixtures when the handler is built', () => {
+    assert.throws(
+      () => createRouteHandler({ match: '**', action: 'fulfill', file: 'fixtures/none.json' }, dir),
+      { code: 'FILE_NOT_FOUND' }
+    );
+  });
+});
+
+describe('rules - loadRuleSet', () => {
+  it('rejects path-like names', () => {
+    assert.throws(() => loadRuleSet('../etc'), { code: 'INVALID_RULES' });
+  });
+
+  it('reports unknown rule sets', () => {
+    assert.throws(() => loadRuleSet(`__missing-${process.pid}`), { code: 'RULES_NOT_FOUND' });
+  });
+});
+
+describe('rules - domain rule sets', () => {
+  it('finds rule sets for a domain and its subdomains in files and config', () => {
+    assert.deepEqual(domainRuleSets('shop.test').map(set => set.name), ['no-ads']);
+    assert.deepEqual(domainRuleSets('cdn.shop.test').map(set => set.name), ['cdn-images', 'no-ads']);
+    assert.deepEqual(domainRuleSets('notshop.test'), []);
+  });
+
+  it('applies them when a page of the domain is opened, and removes them elsewhere', async () => {
+    const browser = new Browser();
+    const calls = [];
+    browser._exec = async args => calls.push(args);
+    const page = {
+      route: async pattern => calls.push(['route', pattern]),
+      unroute: async pattern => calls.push(['unroute', pattern])
+    };
+    browser._getPage = async () => page;
+
+    await browser.open('https://www.shop.test/');
+    await browser.open('shop.test/cart');
+    assert.deepEqual(await browser.activeRules(), [{ name: 'no-ads', rules: 1 }]);
+    await browser.open('https://elsewhere.test/');
+    assert.deepEqual(await browser.activeRules(), []);
+    assert.deepEqual(calls, [
+      ['route', '**/ads/**'],
+      ['open', 'https://www.shop.test/'],
+      ['open', 'shop.test/cart'],
+      ['unroute', '**/ads/**'],
+      ['open', 'https://elsewhere.test/']
+    ]);
+  });
+
+  it('leaves rule sets applied by name in place across domains', async () => {
+    const browser = new Browser();
+    const calls = [];
+    browser._exec = async args => calls.push(args);
+    const page = {
+      route: async pattern => calls.push(['route', pattern]),
+      unroute: async pattern => calls.push(['unroute', pattern])
+    };
+    browser._getPage = async () => page;
+
+    // As a sequence listing "no-ads" in its "rules" does
+    await browser.applyRules('no-ads');
+    await browser.open('https://shop.test/');
+    await browser.open('https://elsewhere.test/');
+    assert.deepEqual(await browser.activeRules(), [{ name: 'no-ads', rules: 1 }]);
+    assert.deepEqual(calls, [
+      ['route', '**/ads/**'],
+      ['open', 'https://shop.test/'],
+      ['open', 'https://elsewhere.test/']
+    ]);
+  });
+
+  it('hands a domain rule set over when it is applied by name', async () => {
+    const browser = new Browser();
+    browser._exec = async () => {};
+    browser._getPage = async () => ({ route: async () => {}, unroute: async () => {} });
+
+    await browser.open('https://shop.test/');
+    await browser.applyRules('no-ads');
+    await browser.open('https://elsewhere.test/');
+    assert.deepEqual(await browser.activeRules(), [{ name: 'no-ads', rules: 1 }]);
+  });
+});
+
+describe('rules - sequence references', () => {
+  it('accepts rule set names on a sequence', () => {
+    const seq = { name: 'test', rules: ['no-ads', 'stub-api'], steps: [{ action: 'wait' }] };
+    assert.equal(validateSequence(seq).valid, true);
+  });
+
+  it('rejects non-string rule references', () => {
+    const seq = { name: 'test', rules: [{ match: '**' }], steps: [{ action: 'wait' }] };
+    assert.equal(validateSequence(seq).valid, false);
+  });
+});
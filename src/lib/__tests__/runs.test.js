@@ -0,0 +1,97 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { RunLog, isSecretVariable, redactVariables, maskSecrets, listRuns, loadRun, pruneRuns, REDACTED } from '../runs.js';
+
+describe('runs', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zylos-runs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('redacts secret variables by definition or name', () => {
+    const redacted = redactVariables(
+      { user: 'ada', password: 'x', api_key: 'k', code: '123' },
+      { code: { type: 'string', secret: true } }
+    );
+    assert.deepEqual(redacted, { user: 'ada', password: REDACTED, api_key: REDACTED, code: REDACTED });
+  });
+
+  it('treats only whole secret words of a name as secret', () => {
+    for (const name of ['password', 'user_pass', 'userPassword', 'apiKey', 'api-key', 'ACCESS_TOKEN', 'pin', 'otp_code']) {
+      assert.equal(isSecretVariable(name), true, name);
+    }
+    for (const name of ['passengers', 'compass_heading', 'bypass_cache', 'spin', 'tokenizer', 'passport_country']) {
+      assert.equal(isSecretVariable(name), false, name);
+    }
+  });
+
+  it('masks secret values, raw and URL-encoded, in nested output', () => {
+    const masked = maskSecrets(
+      { error: 'Step 2 failed: fill "p@ss w0rd"', steps: [{ url: '/login?pw=p%40ss%20w0rd' }], at: new Date(0) },
+      ['p@ss w0rd', '']
+    );
+    assert.equal(masked.error, `Step 2 failed: fill "${REDACTED}"`);
+    assert.equal(masked.steps[0].url, `/login?pw=${REDACTED}`);
+    assert.ok(masked.at instanceof Date);
+    assert.equal(maskSecrets('unchanged', []), 'unchanged');
+  });
+
+  it('leaves values too short to mask safely', () => {
+    assert.equal(maskSecrets('Step 2 failed at /cart?qty=2', ['2', 'ab']), 'Step 2 failed at /cart?qty=2');
+    assert.equal(maskSecrets('pin 1234', ['1234']), `pin ${REDACTED}`);
+  });
+
+  it('masks secrets added during the run in logs and snapshots', () => {
+    const secrets = [];
+    const log = new RunLog({ sequence: 'login', variables: {}, secrets, dir });
+    secrets.push('hunter2');
+    log.step({ step: 0, action: 'fill', status: 'ok', description: 'fill "hunter2"' });
+    log.snapshot(0, '- textbox "Password": hunter2');
+
+    const { steps } = loadRun(log.id, dir);
+    assert.equal(steps[0].description, `fill "${REDACTED}"`);
+    assert.equal(fs.readFileSync(path.join(log.dir, 'snapshot-0.txt'), 'utf8'), `- textbox "Password": ${REDACTED}`);
+  });
+
+  it('writes run.json, the step log and failure artifacts', async () => {
+    const log = new RunLog({ sequence: 'shop/checkout', variables: { user: 'ada', password: 'x' }, dir });
+    assert.match(log.id, /^\d{8}-\d{6}-\d{3}-shop_checkout$/);
+    log.step({ step: 0, action: 'click', status: 'ok', description: 'click', ref: '@e3', duration: 12 });
+    assert.equal(log.snapshot('1[0].0', '- button "Pay" [ref=e1]'), 'snapshot-1_0_.0.txt');
+    assert.equal(await log.screenshot({ screenshot: async file => fs.writeFileSync(file, 'png') }), 'failure.png');
+    assert.equal(await log.screenshot({ screenshot: async () => { throw new Error('gone'); } }), null);
+    log.finish({ success: false, error: 'Step 1 failed', steps: [{}, {}] });
+
+    const { run, steps, files } = loadRun(log.id, dir);
+    assert.equal(run.sequence, 'shop/checkout');
+    assert.equal(run.variables.password, REDACTED);
+    assert.equal(run.success, false);
+    assert.equal(run.steps, 2);
+    assert.equal(steps[0].ref, '@e3');
+    assert.deepEqual(files.sort(), ['failure.png', 'snapshot-1_0_.0.txt']);
+  });
+
+  it('finds runs by prefix or "last" and lists newest first', () => {
+    for (const id of ['20260101-100000-000-a', '20260102-100000-000-b', '20260102-110000-000-a']) {
+      fs.mkdirSync(path.join(dir, id));
+      fs.writeFileSync(path.join(dir, id, 'run.json'), JSON.stringify({ id, sequence: id.slice(-1) }));
+    }
+    assert.deepEqual(listRuns({}, dir).map(r => r.id), ['20260102-110000-000-a', '20260102-100000-000-b', '20260101-100000-000-a']);
+    assert.deepEqual(listRuns({ sequence: 'a', limit: 1 }, dir).map(r => r.id), ['20260102-110000-000-a']);
+    assert.equal(loadRun('last', dir).run.id, '20260102-110000-000-a');
+    assert.equal(loadRun('20260101', dir).run.id, '20260101-100000-000-a');
+    assert.throws(() => loadRun('20260102', dir), { code: 'INVALID_ARGUMENT' });
+    assert.throws(() => loadRun('2025', dir), { code: 'RUN_NOT_FOUND' });
+
+    assert.equal(pruneRuns(1, dir), 2);
+    assert.deepEqual(fs.readdirSync(dir), ['20260102-110000-000-a']);
+  });
+});
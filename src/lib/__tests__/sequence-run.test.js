@@ -0,0 +1,559 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Sequences and run logs live under ZYLOS_DIR, which config.js reads on import
+const zylosDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zylos-run-'));
+process.env.ZYLOS_DIR = zylosDir;
+const { SEQUENCES_DIR, KNOWLEDGE_DIR } = await import('../config.js');
+const { runSequence } = await import('../sequence.js');
+const { REDACTED } = await import('../runs.js');
+
+after(() => fs.rmSync(zylosDir, { recursive: true, force: true }));
+
+/**
+ * Browser stand-in: snapshot() and url() answer from `page` (snapshot text,
+ * or a function of the snapshot options); every other method is recorded in
+ * `calls` and answers from `returns` (a value or a function of the arguments)
+ */
+function stubBrowser({ snapshot = '', url = 'https://shop.test/', returns = {} } = {}) {
+  const calls = [];
+  const page = { snapshot, url };
+  const base = {
+    timeout: 30000,
+    calls,
+    page,
+    snapshot: async (options = {}) => (typeof page.snapshot === 'function' ? page.snapshot(options) : page.snapshot),
+    url: async () => page.url
+  };
+  return new Proxy(base, {
+    get(target, prop) {
+      if (prop in target || typeof prop === 'symbol' || prop === 'then') return target[prop];
+      return async (...args) => {
+        calls.push([prop, ...args]);
+        const answer = returns[prop];
+        return typeof answer === 'function' ? answer(...args) : answer;
+      };
+    }
+  });
+}
+
+/** Calls other than run bookkeeping (disconnect, failure screenshot) */
+function actions(browser) {
+  return browser.calls.filter(([method]) => !['disconnect', 'screenshot'].includes(method));
+}
+
+function writeSequence(name, sequence) {
+  fs.mkdirSync(SEQUENCES_DIR, { recursive: true });
+  fs.writeFileSync(path.join(SEQUENCES_DIR, `${name}.json`), JSON.stringify({ name, ...sequence }));
+}
+
+/**
+ * Write a fixture sequence and run it on a stub browser
+ */
+async function run(name, sequence, { variables, browser = stubBrowser(), ...options } = {}) {
+  writeSequence(name, sequence);
+  const result = await runSequence(name, variables, {}, { ...options, browser });
+  return { result, browser };
+}
+
+/** [step id, status] of each step result */
+const statuses = result => result.steps.map(step => [String(step.step), step.status]);
+
+
+describe('sequence run - control flow', () => {
+  const opened = browser => actions(browser).filter(([method]) => method === 'open').map(([, url]) => url);
+
+  it('runs if branches, repeat and for_each bodies by path', async () => {
+    const { result, browser } = await run('flow', {
+      steps: [
+        { action: 'if', condition: { variable: 'plan', equals: 'pro' },
+          then: [{ action: 'navigate', url: 'https://shop.test/pro' }], else: [{ action: 'navigate', url: 'https://shop.test/basic' }] },
+        { action: 'repeat', times: 2, steps: [{ action: 'navigate', url: 'https://shop.test/page/{{plan}}' }] },
+        { action: 'for_each', items: ['s', 'm'], as: 'size', steps: [{ action: 'navigate', url: 'https://shop.test/size/{{size}}' }] },
+        // The loop variable is gone after the loop
+        { action: 'if', condition: { variable: 'size' }, then: [{ action: 'navigate', url: 'https://shop.test/leaked' }] }
+      ]
+    }, { variables: { plan: 'pro' } });
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(statuses(result), [
+      ['0', 'ok'], ['0.then.0', 'ok'],
+      ['1', 'ok'], ['1[0].0', 'ok'], ['1[1].0', 'ok'],
+      ['2', 'ok'], ['2[0].0', 'ok'], ['2[1].0', 'ok'],
+      ['3', 'ok']
+    ]);
+    assert.deepEqual(opened(browser), [
+      'https://shop.test/pro',
+      'https://shop.test/page/pro', 'https://shop.test/page/pro',
+      'https://shop.test/size/s', 'https://shop.test/size/m'
+    ]);
+    assert.equal(result.steps[0].branch, 'then');
+    assert.equal(result.steps[2].iterations, 2);
+    assert.equal(result.steps.at(-1).branch, 'none');
+  });
+
+  it('stops loops at max_iterations', async () => {
+    const browser = stubBrowser({ snapshot: '- button "Load more" [ref=e1]' });
+    const { result } = await run('endless', {
+      steps: [{ action: 'while', condition: { exists: { role: 'button', name: 'Load more' } }, max_iterations: 2,
+        steps: [{ action: 'click', target: { role: 'button', name: 'Load more' } }] }]
+    }, { browser });
+    assert.equal(result.success, false);
+    assert.match(result.error, /Step 0 failed: while loop exceeded 2 iterations/);
+    assert.deepEqual(statuses(result), [['0', 'failed'], ['0[0].0', 'ok'], ['0[1].0', 'ok']]);
+    assert.deepEqual(actions(browser), [['click', '@e1'], ['click', '@e1']]);
+
+    const { result: repeat } = await run('too-many', {
+      steps: [{ action: 'repeat', times: 5, max_iterations: 3, steps: [] }]
+    });
+    assert.match(repeat.error, /repeat 5 exceeds the limit of 3 iterations/);
+  });
+});
+
+describe('sequence run - extract', () => {
+  it('returns outputs and passes them to later steps', async () => {
+    const browser = stubBrowser({
+      snapshot: '- cell "Order 42" [ref=e1]',
+      returns: { extract: ref => (ref === '@e1' ? 'Order 42' : ['a', 'b']), evaluate: () => 3 }
+    });
+    const { result } = await run('orders', {
+      steps: [
+        { action: 'extract', as: 'title', target: { role: 'cell', name_contains: 'order' } },
+        { action: 'extract', as: 'count', expression: 'document.links.length' },
+        { action: 'for_each', items: ['1', '2'], steps: [{ action: 'extract', as: 'tags', selector: '.tag', all: true, append: true }] },
+        { action: 'navigate', url: 'https://shop.test/search?q={{title}}&n={{count}}' }
+      ]
+    }, { browser });
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(result.outputs, { title: 'Order 42', count: 3, tags: ['a', 'b', 'a', 'b'] });
+    assert.deepEqual(actions(browser).at(-1), ['open', 'https://shop.test/search?q=Order 42&n=3']);
+    assert.deepEqual(actions(browser)[0], ['extract', '@e1', { attribute: undefined, table: undefined, all: undefined, timeout: undefined }]);
+  });
+});
+
+describe('sequence run - call', () => {
+  it('reports call cycles before opening anything', async () => {
+    writeSequence('ping', { steps: [{ action: 'call', sequence: 'pong' }] });
+    writeSequence('pong', { steps: [{ action: 'call', sequence: 'ping' }] });
+    const browser = stubBrowser();
+    const result = await runSequence('ping', {}, {}, { browser });
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Recursive call: ping → pong → ping');
+    assert.deepEqual(browser.calls, []);
+  });
+
+  it('runs the callee with mapped variables and merges its outputs', async () => {
+    writeSequence('lookup', {
+      variables: { query: { type: 'string', required: true } },
+      steps: [
+        { action: 'navigate', url: 'https://shop.test/search?q={{query}}' },
+        // Only mapped variables reach the callee
+        { action: 'if', condition: { variable: 'note' }, then: [{ action: 'navigate', url: 'https://shop.test/leaked' }] },
+        { action: 'extract', as: 'hits', expression: 'count()' }
+      ]
+    });
+    const browser = stubBrowser({ returns: { evaluate: () => 7 } });
+    const { result } = await run('search', {
+      steps: [
+        { action: 'call', sequence: 'lookup', variables: { query: '{{color}} shoes' } },
+        { action: 'navigate', url: 'https://shop.test/results/{{hits}}' }
+      ]
+    }, { browser, variables: { color: 'red', note: 'caller only' } });
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(statuses(result), [
+      ['0', 'ok'], ['0.call.0', 'ok'], ['0.call.1', 'ok'], ['0.call.2', 'ok'], ['1', 'ok']
+    ]);
+    assert.equal(result.steps[0].sequence, 'lookup');
+    assert.deepEqual(result.outputs, { hits: 7 });
+    assert.deepEqual(actions(browser).filter(([method]) => method === 'open'), [
+      ['open', 'https://shop.test/search?q=red shoes'],
+      ['open', 'https://shop.test/results/7']
+    ]);
+  });
+});
+
+describe('sequence run - dry run, step control and ranges', () => {
+  const page = '- textbox "Email" [ref=e1]\n- button "Sign in" [ref=e2]';
+  const pages = n => Array.from({ length: n }, (_, i) => ({ action: 'navigate', url: `https://shop.test/${i}` }));
+  const opened = browser => actions(browser).filter(([method]) => method === 'open').map(([, url]) => url);
+
+  it('plans targets without acting', async () => {
+    const browser = stubBrowser({ snapshot: page });
+    const { result } = await run('login', {
+      steps: [
+        { action: 'fill', target: { role: 'textbox', name: 'Email' }, value: '{{email}}' },
+        { action: 'click', target: { role: 'button', name: 'Sign in' } },
+        { action: 'click', target: { role: 'link', name: 'Dashboard' } }
+      ]
+    }, { browser, dryRun: true });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.dryRun, true);
+    assert.deepEqual(result.steps.map(s => [s.step, s.status, s.stale ?? false]), [
+      [0, 'found', false], [1, 'found', true], [2, 'not_found', true]
+    ]);
+    // Unset variables show as written
+    assert.equal(result.steps[0].value, '{{email}}');
+    assert.deepEqual(actions(browser), []);
+
+    const { result: missing } = await run('missing', {
+      steps: [{ action: 'click', target: { role: 'link', name: 'Dashboard' } }]
+    }, { browser: stubBrowser({ snapshot: page }), dryRun: true });
+    assert.equal(missing.success, false);
+    assert.match(missing.error, /Target not found on the current page for step 0/);
+  });
+
+  it('lets beforeStep continue, skip or abort', async () => {
+    const seen = [];
+    const choices = { 0: 'continue', 1: 'skip', 2: 'abort' };
+    const { result, browser } = await run('stepper', { steps: pages(4) }, {
+      beforeStep: async ({ step, action }) => {
+        seen.push([step, action]);
+        return choices[step];
+      }
+    });
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Aborted at step 2');
+    assert.deepEqual(seen, [[0, 'navigate'], [1, 'navigate'], [2, 'navigate']]);
+    assert.deepEqual(statuses(result), [['0', 'ok'], ['1', 'skipped']]);
+    assert.deepEqual(opened(browser), ['https://shop.test/0']);
+  });
+
+  it('runs only the steps between from and to', async () => {
+    const { result, browser } = await run('ranged', { steps: pages(4) }, { from: 1, to: 2 });
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(statuses(result), [['1', 'ok'], ['2', 'ok']]);
+    assert.deepEqual(opened(browser), ['https://shop.test/1', 'https://shop.test/2']);
+
+    await assert.rejects(run('ranged', { steps: pages(4) }, { to: 4 }), { code: 'INVALID_ARGUMENT', message: '--to must be a step number from 0 to 3' });
+    await assert.rejects(run('ranged', { steps: pages(4) }, { from: 2, to: 1 }), { code: 'INVALID_ARGUMENT', message: '--from is after --to' });
+  });
+});
+
+describe('sequence run - page actions', () => {
+  const page = [
+    '- combobox "Size" [ref=e1]',
+    '- checkbox "Gift wrap" [ref=e2]',
+    '- button "Menu" [ref=e3]',
+    '- listitem "Card A" [ref=e4]',
+    '- list "Done" [ref=e5]',
+    '- text: Saved'
+  ].join('\n');
+
+  it('sends select, check, hover, drag, history and tab actions to the browser', async () => {
+    const browser = stubBrowser({ snapshot: page });
+    const { result } = await run('board', {
+      variables: { size: { type: 'string', default: 'M' } },
+      steps: [
+        { action: 'select', target: { role: 'combobox', name: 'Size' }, value: '{{size}}' },
+        { action: 'check', target: { role: 'checkbox', name: 'Gift wrap' } },
+        { action: 'hover', target: { role: 'button', name: 'Menu' } },
+        { action: 'drag', target: { role: 'listitem', name: 'Card A' }, to: { role: 'list', name: 'Done' } },
+        { action: 'back' },
+        { action: 'switch_tab', tab: 2 },
+        { action: 'wait_for', text: 'saved' },
+        { action: 'wait_for', target: { role: 'dialog' }, gone: true }
+      ]
+    }, { browser });
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(actions(browser), [
+      ['select', '@e1', 'M'],
+      ['check', '@e2'],
+      ['hover', '@e3'],
+      ['drag', '@e4', '@e5'],
+      ['back'],
+      ['switchTab', '2']
+    ]);
+    assert.deepEqual(result.steps.map(s => s.ref), ['@e1', '@e2', '@e3', '@e4', undefined, undefined, undefined, undefined]);
+  });
+
+  it('fails wait_for after its timeout', async () => {
+    const { result } = await run('slow', {
+      steps: [{ action: 'wait_for', text: 'Order placed', timeout: 600 }]
+    }, { browser: stubBrowser({ snapshot: page }) });
+    assert.equal(result.success, false);
+    assert.match(result.error, /Step 0 failed: Timed out after 600ms waiting for text "Order placed"/);
+  });
+});
+
+describe('sequence run - assert', () => {
+  it('stops the run with an expected/observed diff', async () => {
+    const browser = stubBrowser({ snapshot: '- button "Save draft" [ref=e1]\n- button "Cancel" [ref=e2]\n- link "Help" [ref=e3]' });
+    const { result } = await run('publish', {
+      steps: [
+        { action: 'assert', exists: { role: 'button', name: 'Publish' }, message: 'publish button shown' },
+        { action: 'assert', url_contains: 'never reached' }
+      ]
+    }, { browser });
+    assert.equal(result.success, false);
+    assert.equal(result.error, [
+      'Step 0 failed: Assertion failed: publish button shown',
+      '- expected: element {"role":"button","name":"Publish"}',
+      '+ observed: no match; button elements on the page:',
+      '+   button "Save draft" [ref=e1]',
+      '+   button "Cancel" [ref=e2]'
+    ].join('\n'));
+    // Asserts are not retried, and nothing after a failed assert runs
+    assert.deepEqual(statuses(result), [['0', 'failed']]);
+  });
+
+  it('shows the variable value and the URL it observed', async () => {
+    const { result } = await run('checkout-total', {
+      variables: { total: { type: 'string', default: '12.50' } },
+      steps: [{ action: 'assert', any: [{ variable: 'total', equals: '10.00' }, { url_contains: '/paid' }] }]
+    });
+    assert.equal(result.error, [
+      'Step 0 failed: Assertion failed',
+      '- expected: any of: total equal to "10.00" | URL containing "/paid"',
+      '+ observed: total = "12.50"',
+      '+ URL https://shop.test/'
+    ].join('\n'));
+  });
+});
+
+describe('sequence run - retries, timeouts and failure handling', () => {
+  const page = '- button "Pay" [ref=e1]';
+
+  /** A click that fails the first `failures` times, recording when and with which timeout it ran */
+  function flakyClick(browser, failures) {
+    const attempts = [];
+    browser.page.attempts = attempts;
+    return () => {
+      attempts.push({ at: Date.now(), timeout: browser.timeout });
+      if (attempts.length <= failures) throw new Error('element is covered');
+    };
+  }
+
+  it('retries with exponential backoff under the step timeout', async () => {
+    const returns = {};
+    const browser = stubBrowser({ snapshot: page, returns });
+    returns.click = flakyClick(browser, 2);
+    const { result } = await run('pay', {
+      steps: [{ action: 'click', target: { role: 'button', name: 'Pay' }, retries: 2, retry_delay: 100, timeout: 5000 }]
+    }, { browser });
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(statuses(result), [['0', 'failed'], ['0', 'failed'], ['0', 'ok (retry)']]);
+    assert.equal(result.steps[0].error, 'element is covered');
+
+    const [first, second, third] = browser.page.attempts;
+    assert.ok(second.at - first.at >= 100, 'first retry after retry_delay');
+    assert.ok(third.at - second.at >= 200, 'second retry after twice retry_delay');
+    assert.deepEqual(browser.page.attempts.map(a => a.timeout), [5000, 5000, 5000]);
+    assert.equal(browser.timeout, 30000);
+  });
+
+  it('fails a step whose action never returns once its timeout has passed', async () => {
+    const browser = stubBrowser({ snapshot: page, returns: { click: () => new Promise(() => {}) } });
+    const { result } = await run('hung-pay', {
+      steps: [{ action: 'click', target: { role: 'button', name: 'Pay' }, retries: 0, timeout: 200 }]
+    }, { browser });
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Step 0 failed: Timed out after 200ms running click');
+    assert.equal(browser.timeout, 30000);
+  });
+
+  it('bounds a whole block by its timeout', async () => {
+    const { result } = await run('slow-block', {
+      steps: [
+        { action: 'if', condition: { url_contains: 'shop' }, timeout: 300, optional: true,
+          then: [{ action: 'wait', duration: 200 }, { action: 'wait', duration: 200 }] },
+        { action: 'assert', url_contains: 'shop' }
+      ]
+    });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.steps[0].error, 'Timed out after 300ms running if');
+    assert.deepEqual(statuses(result).filter(([id]) => !id.startsWith('0.')), [['0', 'failed (optional)'], ['1', 'ok']]);
+  });
+
+  it('runs on_error once retries are exhausted, then stops', async () => {
+    const returns = {};
+    const browser = stubBrowser({ snapshot: page, returns });
+    returns.click = flakyClick(browser, Infinity);
+    const { result } = await run('pay-or-report', {
+      steps: [
+        { action: 'click', target: { role: 'button', name: 'Pay' }, retries: 1, retry_delay: 10,
+          on_error: [{ action: 'assert', url_contains: 'shop' }, { action: 'assert', url_contains: 'cart' }] },
+        { action: 'assert', url_contains: 'never reached' }
+      ]
+    }, { browser });
+    assert.equal(result.success, false);
+    // The step's own failure is reported, not the handler's
+    assert.equal(result.error, 'Step 0 failed: element is covered');
+    assert.deepEqual(statuses(result), [
+      ['0', 'failed'], ['0', 'failed'], ['0.on_error.0', 'ok'], ['0.on_error.1', 'failed']
+    ]);
+  });
+
+  it('carries on after an optional step fails', async () => {
+    const returns = {};
+    const browser = stubBrowser({ snapshot: page, returns });
+    returns.click = flakyClick(browser, Infinity);
+    const { result } = await run('dismiss-banner', {
+      steps: [
+        { action: 'click', target: { role: 'button', name: 'Pay' }, optional: true, retries: 0,
+          on_error: [{ action: 'assert', url_contains: 'shop' }] },
+        { action: 'assert', url_contains: 'shop' }
+      ]
+    }, { browser });
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(statuses(result), [['0', 'failed (optional)'], ['0.on_error.0', 'ok'], ['1', 'ok']]);
+  });
+
+  it('restores the loop variable when an optional loop fails', async () => {
+    const { result } = await run('leaky', {
+      steps: [
+        { action: 'for_each', items: ['a'], optional: true, steps: [{ action: 'assert', variable: 'missing' }] },
+        { action: 'assert', not: { variable: 'item' }, message: 'item leaked out of the loop' }
+      ]
+    });
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(statuses(result), [['0', 'failed (optional)'], ['0[0].0', 'failed'], ['1', 'ok']]);
+  });
+});
+
+describe('sequence run - selector and knowledge targets', () => {
+  const page = '- searchbox "Search" [ref=e1]\n- button "Go" [ref=e2]';
+  const located = { '#pay': { ref: '[data-zylos-target="t-1"]', role: 'button', name: 'Pay now', disabled: false } };
+
+  it('locates selector targets through the browser', async () => {
+    const browser = stubBrowser({ snapshot: page, returns: { locateTarget: target => located[target.css] ?? null } });
+    const { result } = await run('pay-css', {
+      steps: [
+        { action: 'click', target: { css: '#pay' } },
+        // Not on the page: falls back to the snapshot target
+        { action: 'click', target: { css: '#go' }, fallback_targets: [{ role: 'button', name: 'Go' }] }
+      ]
+    }, { browser });
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(actions(browser), [
+      ['locateTarget', { css: '#pay' }],
+      ['click', '[data-zylos-target="t-1"]'],
+      ['locateTarget', { css: '#go' }],
+      ['click', '@e2']
+    ]);
+  });
+
+  it('resolves knowledge targets from the site knowledge of the current page', async () => {
+    fs.mkdirSync(KNOWLEDGE_DIR, { recursive: true });
+    fs.writeFileSync(path.join(KNOWLEDGE_DIR, 'shop.test.json'), JSON.stringify({
+      domain: 'shop.test',
+      _base: { elements: { pay: { selector: '#pay' }, search: { role: 'searchbox', ref_name: 'Search' } } }
+    }));
+    const browser = stubBrowser({ snapshot: page, returns: { locateTarget: target => located[target.css] ?? null } });
+    const { result } = await run('pay-knowledge', {
+      steps: [
+        { action: 'fill', target: { knowledge: 'search' }, value: 'socks' },
+        { action: 'click', target: { knowledge: 'pay' } },
+        { action: 'click', target: { knowledge: 'refund' }, retries: 0 }
+      ]
+    }, { browser });
+    // Compare without the undefined nth/within of the resolved target
+    assert.deepEqual(JSON.parse(JSON.stringify(actions(browser))), [
+      ['fill', '@e1', 'socks'],
+      ['locateTarget', { css: '#pay' }],
+      ['click', '[data-zylos-target="t-1"]']
+    ]);
+    assert.equal(result.error, 'Step 2 failed: No site knowledge of element "refund" for https://shop.test/');
+  });
+});
+
+describe('sequence run - within', () => {
+  // The full snapshot nests rows; the interactive one is flat and numbers refs differently
+  const full = [
+    '- table "Users":',
+    '  - row "Ada Lovelace admin":',
+    '    - cell "Ada Lovelace"',
+    '    - button "Edit" [ref=e10]',
+    '    - button "Delete" [ref=e11]',
+    '  - row "Bob Smith user":',
+    '    - cell "Bob Smith"',
+    '    - button "Edit" [ref=e12] [nth=1]',
+    '    - button "Delete" [ref=e13] [nth=1]'
+  ].join('\n');
+  const interactive = [
+    '- button "Edit" [ref=e1]',
+    '- button "Delete" [ref=e2]',
+    '- button "Edit" [ref=e3] [nth=1]',
+    '- button "Delete" [ref=e4] [nth=1]'
+  ].join('\n');
+  const snapshot = options => (options.compact ? full : interactive);
+
+  it('finds the element inside its container and acts on its current ref', async () => {
+    const browser = stubBrowser({ snapshot });
+    const { result } = await run('delete-bob', {
+      steps: [
+        { action: 'click', target: { role: 'button', name: 'Delete', within: { role: 'row', name_contains: 'bob' } } },
+        { action: 'click', target: { role: 'button', nth: 1, within: { role: 'table', name: 'Users' } } },
+        { action: 'assert', not: { exists: { role: 'button', name: 'Delete', within: { role: 'row', name_contains: 'carol' } } } }
+      ]
+    }, { browser });
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(actions(browser), [['click', '@e4'], ['click', '@e2']]);
+  });
+});
+
+describe('sequence run - secrets', () => {
+  it('masks secret values but not variables that merely look like secret names', async () => {
+    const returns = {};
+    const browser = stubBrowser({ returns });
+    returns.open = url => { browser.page.url = url; };
+    const { result } = await run('book', {
+      variables: {
+        passengers: { type: 'string', required: true },
+        password: { type: 'string', required: true }
+      },
+      steps: [
+        { action: 'navigate', url: 'https://shop.test/book?passengers={{passengers}}&key={{password}}' },
+        { action: 'assert', url_contains: 'confirmed' }
+      ]
+    }, { browser, variables: { passengers: '2', password: 'hunter22' } });
+    assert.equal(result.error, [
+      'Step 1 failed: Assertion failed',
+      '- expected: URL containing "confirmed"',
+      `+ observed: URL https://shop.test/book?passengers=2&key=${REDACTED}`
+    ].join('\n'));
+    assert.deepEqual(statuses(result), [['0', 'ok'], ['1', 'failed']]);
+  });
+});
+
+describe('sequence run - console capture', () => {
+  const entries = [
+    { id: 1, type: 'console', level: 'info', text: 'app booted' },
+    { id: 2, type: 'pageerror', level: 'error', text: 'TypeError: cart is undefined' },
+    { id: 3, type: 'requestfailed', level: 'error', text: 'GET https://api.shop.test/cart net::ERR_FAILED' }
+  ];
+  const consoleBrowser = () => stubBrowser({
+    returns: { consoleStatus: { capturing: false, lastId: 0 }, consoleEntries: entries }
+  });
+
+  it('saves the log in the run directory and analyzes it when the run fails', async () => {
+    const { result } = await run('cart', {
+      console: true,
+      steps: [{ action: 'assert', url_contains: '/cart' }]
+    }, { browser: consoleBrowser() });
+    assert.equal(result.success, false);
+    assert.equal(result.console.file, path.join(result.run.dir, 'console.jsonl'));
+    assert.equal(fs.readFileSync(result.console.file, 'utf8').trim().split('\n').length, 3);
+    assert.deepEqual(result.console.analysis, {
+      pageErrors: 1,
+      failedRequests: 1,
+      learnings: [
+        'Page threw a JavaScript error: TypeError: cart is undefined',
+        '1 request(s) failed (api.shop.test) — page may be partially loaded'
+      ]
+    });
+    const saved = JSON.parse(fs.readFileSync(path.join(result.run.dir, 'run.json'), 'utf8'));
+    assert.deepEqual(saved.console, result.console);
+  });
+
+  it('leaves out the analysis when the run succeeds', async () => {
+    const { result } = await run('home', {
+      console: true,
+      steps: [{ action: 'assert', url_contains: 'shop' }]
+    }, { browser: consoleBrowser() });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.console.counts.error, 2);
+    assert.equal(result.console.analysis, undefined);
+  });
+});
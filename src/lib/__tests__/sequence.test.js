@@ -68,6 +68,7 @@ describe('sequence - validateSequence', () => {
         { action: 'click', target: { role: 'button' } },
         { action: 'type', target: { role: 'textbox' }, value: 'hi' },
         { action: 'fill', target: { role: 'textbox' }, value: 'hi' },
+        { action: 'upload', target: { role: 'button', name: 'Choose File' }, value: '{{resume}}' },
         { action: 'scroll', direction: 'down' },
         { action: 'wait', duration: 100 },
         { action: 'screenshot' },
@@ -79,6 +80,53 @@ describe('sequence - validateSequence', () => {
     assert.equal(result.valid, true);
   });
 
+  it('validates element, navigation, tab and wait_for actions', () => {
+    const seq = {
+      name: 'more-actions',
+      steps: [
+        { action: 'select', target: { role: 'combobox' }, value: 'Norway' },
+        { action: 'check', target: { role: 'checkbox', name: 'Terms' } },
+        { action: 'uncheck', target: { role: 'checkbox', name: 'Newsletter' } },
+        { action: 'hover', target: { role: 'menuitem', name: 'Account' } },
+        { action: 'drag', target: { role: 'listitem', name: 'Card' }, to: { role: 'region', name: 'Done' } },
+        { action: 'back' },
+        { action: 'forward' },
+        { action: 'reload' },
+        { action: 'switch_tab', tab: 1 },
+        { action: 'switch_tab', tab: 'url:checkout' },
+        { action: 'wait_for', target: { role: 'heading', name: 'Thanks' }, timeout: 5000 },
+        { action: 'wait_for', text: 'Loading', gone: true }
+      ]
+    };
+    assert.deepEqual(validateSequence(seq).errors, []);
+
+    const bad = validateSequence({
+      name: 'test',
+      steps: [
+        { action: 'hover' },
+        { action: 'drag', target: { role: 'listitem' } },
+        { action: 'switch_tab' },
+        { action: 'wait_for', target: { role: 'button' }, text: 'Go' }
+      ]
+    });
+    assert.deepEqual(bad.errors, [
+      'Step 0: "hover" requires a "target" field',
+      'Step 1: "drag" requires a "to" target (where to drop)',
+      'Step 2: "switch_tab" requires "tab" (an index, "url:<text>" or "{{variable}}")',
+      'Step 3: "wait_for" needs exactly one of "target" or "text"'
+    ]);
+  });
+
+  it('rejects upload without a file', () => {
+    const seq = {
+      name: 'test',
+      steps: [{ action: 'upload', target: { role: 'button' } }]
+    };
+    const result = validateSequence(seq);
+    assert.equal(result.valid, false);
+    assert.ok(result.errors.some(e => e.includes('"upload" requires')));
+  });
+
   it('accepts actions field as alias for steps', () => {
     const seq = {
       name: 'test',
@@ -101,4 +149,262 @@ describe('sequence - validateSequence', () => {
     assert.equal(result.valid, false);
     assert.ok(result.errors.some(e => e.includes('bad')));
   });
+
+  it('validates the env source of secret variables', () => {
+    const seq = {
+      name: 'test',
+      steps: [{ action: 'wait' }],
+      variables: {
+        password: { type: 'secret', env: 'SITE_PASSWORD' },
+        token: { type: 'secret', env: 'not a name' }
+      }
+    };
+    assert.deepEqual(validateSequence(seq).errors, ['Variable "token": "env" must be an environment variable name']);
+  });
+});
+
+describe('sequence - targets', () => {
+  it('accepts selector and knowledge targets', () => {
+    const result = validateSequence({
+      name: 'selectors',
+      steps: [
+        { action: 'click', target: { css: 'button.icon-close' } },
+        { action: 'click', target: { xpath: '//nav/a[2]' }, fallback_targets: [{ text: 'Pricing', exact: true }] },
+        { action: 'fill', target: { label: 'Email' }, value: 'a@example.com' },
+        { action: 'type', target: { placeholder: 'Search', nth: 1 }, value: 'x' },
+        { action: 'click', target: { knowledge: 'submit_button' } },
+        { action: 'assert', exists: { css: '.toast-success' } }
+      ]
+    });
+    assert.deepEqual(result.errors, []);
+  });
+
+  it('rejects targets mixing kinds or with empty selectors', () => {
+    const result = validateSequence({
+      name: 'test',
+      steps: [
+        { action: 'click', target: { css: '.a', xpath: '//a' } },
+        { action: 'click', target: { role: 'button', text: 'Go' } },
+        { action: 'click', target: { css: '' }, fallback_targets: [null] },
+        { action: 'drag', target: { css: '.card' }, to: 'Done' },
+        { action: 'if', condition: { exists: { knowledge: 7 } }, then: [] }
+      ]
+    });
+    assert.deepEqual(result.errors, [
+      'Step 0: "target" needs role/name fields or one of css, xpath, text, label, placeholder, knowledge, not several',
+      'Step 1: "target" needs role/name fields or one of css, xpath, text, label, placeholder, knowledge, not several',
+      'Step 2: "target": "css" must be a non-empty string',
+      'Step 2: "fallback_targets"[0] must be a target object',
+      'Step 3: "to" must be a target object',
+      'Step 4: "exists": "knowledge" must be a non-empty string'
+    ]);
+  });
+  it('accepts within scopes and state filters', () => {
+    const result = validateSequence({
+      name: 'scoped',
+      steps: [
+        { action: 'click', target: { role: 'button', name: 'Delete', within: { role: 'row', name_contains: 'Ada' } } },
+        { action: 'click', target: { css: '.remove', within: { role: 'dialog', name: 'Cart' } } },
+        { action: 'uncheck', target: { role: 'checkbox', name: 'Newsletter', checked: true } },
+        { action: 'assert', exists: { role: 'heading', name: 'Orders', level: 2 } },
+        { action: 'assert', exists: { role: 'checkbox', checked: 'mixed', within: { role: 'group', expanded: true } } }
+      ]
+    });
+    assert.deepEqual(result.errors, []);
+  });
+
+  it('rejects malformed within scopes and state filters', () => {
+    const result = validateSequence({
+      name: 'test',
+      steps: [
+        { action: 'click', target: { role: 'button', within: { name: 'Ada' } } },
+        { action: 'click', target: { css: '.x', within: { role: 'row', name_contains: 'Ada' } } },
+        { action: 'click', target: { text: 'Go', checked: true } },
+        { action: 'click', target: { role: 'tab', selected: 'yes', level: 0 } }
+      ]
+    });
+    assert.deepEqual(result.errors, [
+      'Step 0: "target": "within" must be an object with a "role"',
+      'Step 1: "target": "within" takes role, name, not name_contains',
+      'Step 2: "target": state filters (checked, expanded, selected, pressed, disabled, level) apply to role/name targets',
+      'Step 3: "target": "selected" must be true or false',
+      'Step 3: "target": "level" must be a positive integer'
+    ]);
+  });
+});
+
+describe('sequence - control flow', () => {
+  const click = { action: 'click', target: { role: 'button', name: 'Next' } };
+
+  it('accepts if, repeat, while and for_each blocks', () => {
+    const seq = {
+      name: 'test',
+      steps: [
+        { action: 'if', condition: { exists: { role: 'button', name: 'Accept' } }, then: [click], else: [] },
+        { action: 'repeat', times: 3, steps: [click] },
+        { action: 'repeat', times: '{{pages}}', steps: [click] },
+        { action: 'while', condition: { not: { text: 'No more results' } }, max_iterations: 20, steps: [click] },
+        { action: 'for_each', items: '{{names}}', as: 'name', steps: [{ action: 'fill', target: { role: 'textbox' }, value: '{{name}}' }] },
+        { action: 'if', condition: { any: [{ url_matches: '/login$' }, { variable: 'mode', equals: 'fresh' }] }, then: [click] }
+      ]
+    };
+    const result = validateSequence(seq);
+    assert.deepEqual(result.errors, []);
+  });
+
+  it('validates nested steps with their path', () => {
+    const seq = {
+      name: 'test',
+      steps: [
+        { action: 'wait' },
+        { action: 'if', condition: { variable: 'x' }, then: [{ action: 'wait' }, { action: 'click' }] },
+        { action: 'repeat', times: 2, steps: [{ action: 'for_each', items: ['a'], steps: [{ action: 'fly' }] }] }
+      ]
+    };
+    const result = validateSequence(seq);
+    assert.equal(result.valid, false);
+    assert.ok(result.errors.some(e => e.startsWith('Step 1.then.1:') && e.includes('target')));
+    assert.ok(result.errors.some(e => e.startsWith('Step 2.0.0:') && e.includes('fly')));
+  });
+
+  it('rejects malformed conditions and loops', () => {
+    const errors = validateSequence({
+      name: 'test',
+      steps: [
+        { action: 'if', then: [] },
+        { action: 'if', condition: { text: 'a', variable: 'b' }, then: [] },
+        { action: 'while', condition: { url_matches: '(' }, steps: [] },
+        { action: 'repeat', times: -1, steps: [] },
+        { action: 'for_each', steps: [] },
+        { action: 'while', condition: { all: [] }, max_iterations: 0 }
+      ]
+    }).errors;
+    assert.ok(errors.some(e => e.startsWith('Step 0:') && e.includes('condition')));
+    assert.ok(errors.some(e => e.startsWith('Step 1:') && e.includes('exactly one')));
+    assert.ok(errors.some(e => e.startsWith('Step 2:') && e.includes('regular expression')));
+    assert.ok(errors.some(e => e.startsWith('Step 3:') && e.includes('times')));
+    assert.ok(errors.some(e => e.startsWith('Step 4:') && e.includes('items')));
+    assert.ok(errors.some(e => e.startsWith('Step 5:') && e.includes('max_iterations')));
+    assert.ok(errors.some(e => e.startsWith('Step 5:') && e.includes('"steps"')));
+  });
+});
+
+describe('sequence - assert', () => {
+  it('accepts condition fields on assert steps', () => {
+    const seq = {
+      name: 'test',
+      steps: [
+        { action: 'assert', exists: { role: 'heading', name: 'Thanks' } },
+        { action: 'assert', not: { text: 'Payment failed' }, message: 'Checkout for {{user}} failed' },
+        { action: 'assert', url_matches: '/orders/\\d+$' },
+        { action: 'assert', enabled: { role: 'button', name: 'Pay' } },
+        { action: 'assert', variable: 'total', equals: '42.00' }
+      ]
+    };
+    assert.deepEqual(validateSequence(seq).errors, []);
+  });
+
+  it('rejects assert steps without exactly one condition', () => {
+    const errors = validateSequence({
+      name: 'test',
+      steps: [
+        { action: 'assert' },
+        { action: 'assert', text: 'a', exists: { role: 'button' } },
+        { action: 'assert', enabled: 'Pay' }
+      ]
+    }).errors;
+    assert.ok(errors.some(e => e.startsWith('Step 0:') && e.includes('exactly one')));
+    assert.ok(errors.some(e => e.startsWith('Step 1:') && e.includes('exactly one')));
+    assert.ok(errors.some(e => e.startsWith('Step 2:') && e.includes('"enabled" must be a target object')));
+  });
+});
+
+describe('sequence - error handling', () => {
+  it('accepts timeout, retries, optional and on_error on steps', () => {
+    const seq = {
+      name: 'test',
+      steps: [
+        { action: 'click', target: { role: 'button', name: 'Pay' }, timeout: 5000, retries: 3, retry_delay: 1000 },
+        { action: 'click', target: { role: 'button', name: 'Accept cookies' }, optional: true },
+        {
+          action: 'call', sequence: 'checkout', timeout: 60000,
+          on_error: [{ action: 'screenshot' }, { action: 'keypress', key: 'Escape' }, { action: 'call', sequence: 'reset-cart' }]
+        }
+      ]
+    };
+    assert.deepEqual(validateSequence(seq).errors, []);
+  });
+
+  it('rejects malformed error-handling fields', () => {
+    const errors = validateSequence({
+      name: 'test',
+      steps: [
+        { action: 'wait', timeout: 0 },
+        { action: 'wait', retries: -1, retry_delay: 'soon' },
+        { action: 'repeat', times: 2, retries: 1, steps: [] },
+        { action: 'wait', optional: 'yes', on_error: [{ action: 'click' }] }
+      ]
+    }).errors;
+    assert.deepEqual(errors, [
+      'Step 0: "timeout" must be a positive number of milliseconds',
+      'Step 1: "retries" must be a non-negative integer',
+      'Step 1: "retry_delay" must be a non-negative integer',
+      'Step 2: "retries" applies to action steps, not "repeat" blocks',
+      'Step 3: "optional" must be true or false',
+      'Step 3.on_error.0: "click" requires a "target" field'
+    ]);
+  });
+});
+
+describe('sequence - extract', () => {
+  it('accepts extract steps reading an element or an expression', () => {
+    const seq = {
+      name: 'test',
+      steps: [
+        { action: 'extract', as: 'title', selector: 'h1' },
+        { action: 'extract', as: 'next', target: { role: 'link', name: 'Next' }, attribute: 'href' },
+        { action: 'extract', as: 'orders', selector: 'table#orders', table: true },
+        { action: 'extract', as: 'count', expression: 'document.querySelectorAll(".row").length' }
+      ]
+    };
+    assert.deepEqual(validateSequence(seq).errors, []);
+  });
+
+  it('requires an output name and a single source', () => {
+    const errors = validateSequence({
+      name: 'test',
+      steps: [
+        { action: 'extract', selector: 'h1' },
+        { action: 'extract', as: 'x' },
+        { action: 'extract', as: 'x', selector: 'h1', expression: '1' },
+        { action: 'extract', as: 'x', expression: 'location.href', attribute: 'href' }
+      ]
+    }).errors;
+    assert.ok(errors.some(e => e.startsWith('Step 0:') && e.includes('"as"')));
+    assert.ok(errors.some(e => e.startsWith('Step 1:') && e.includes('exactly one')));
+    assert.ok(errors.some(e => e.startsWith('Step 2:') && e.includes('exactly one')));
+    assert.ok(errors.some(e => e.startsWith('Step 3:') && e.includes('cannot be combined')));
+  });
+});
+
+describe('sequence - call', () => {
+  it('accepts call steps with mapped variables', () => {
+    const seq = {
+      name: 'checkout',
+      steps: [
+        { action: 'call', sequence: 'login', variables: { user: '{{user}}', remember: true } },
+        { action: 'if', condition: { exists: { role: 'button', name: 'Accept cookies' } }, then: [{ action: 'call', sequence: 'accept-cookies' }] }
+      ]
+    };
+    assert.deepEqual(validateSequence(seq).errors, []);
+  });
+
+  it('rejects a call without a sequence or with list variables', () => {
+    const errors = validateSequence({
+      name: 'test',
+      steps: [{ action: 'call' }, { action: 'call', sequence: 'login', variables: ['user'] }]
+    }).errors;
+    assert.ok(errors.some(e => e.startsWith('Step 0:') && e.includes('"sequence"')));
+    assert.ok(errors.some(e => e.startsWith('Step 1:') && e.includes('"variables"')));
+  });
 });
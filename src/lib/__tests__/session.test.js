@@ -0,0 +1,137 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  REMOTE_METHODS,
+  RemoteBrowser,
+  createSessionServer,
+  getSessionStatus,
+  sendRequest
+} from '../session.js';
+import { TimeoutError } from '../errors.js';
+
+describe('session - REMOTE_METHODS', () => {
+  it('exposes public Browser methods', () => {
+    for (const method of ['open', 'snapshot', 'click', 'evaluate', 'cookies']) {
+      assert.ok(REMOTE_METHODS.includes(method), method);
+    }
+  });
+
+  it('excludes private, lifecycle and callback methods', () => {
+    for (const method of ['_exec', 'constructor', 'connect', 'disconnect', 'interceptNetwork']) {
+      assert.ok(!REMOTE_METHODS.includes(method), method);
+    }
+  });
+});
+
+describe('session - server round trip', () => {
+  const socketPath = path.join(os.tmpdir(), `zylos-browser-test-${process.pid}.sock`);
+  const calls = [];
+  const stub = {
+    cdpPort: 9444,
+    timeout: 30000,
+    _cdpBrowser: null,
+    async snapshot(options) {
+      calls.push({ method: 'snapshot', options, timeout: this.timeout });
+      return '- button "OK" [ref=e1]';
+    },
+    async click(ref) {
+      throw new TimeoutError(`click ${ref} timed out`, { ref });
+    },
+    async waitForSelector() {
+      return new (class Handle {})();
+    },
+    async waitForNetworkIdle() {
+      await new Promise(resolve => stub.onIdle(resolve));
+      return 'idle';
+    }
+  };
+  let session;
+
+  before(async () => {
+    session = await createSessionServer(stub, { socketPath });
+  });
+
+  after(async () => {
+    await session.close();
+  });
+
+  it('reports status', async () => {
+    const status = await getSessionStatus(socketPath);
+    assert.equal(status.running, true);
+    assert.equal(status.cdpPort, 9444);
+    assert.equal(status.pid, process.pid);
+  });
+
+  it('forwards method calls and per-call options', async () => {
+    const remote = new RemoteBrowser({ cdpPort: 9444 }, { timeout: 500 }, socketPath);
+    const output = await remote.snapshot({ interactive: true });
+    assert.equal(output, '- button "OK" [ref=e1]');
+    assert.deepEqual(calls.at(-1), { method: 'snapshot', options: { interactive: true }, timeout: 500 });
+    assert.equal(stub.timeout, 30000, 'per-call option is restored');
+  });
+
+  it('rebuilds structured errors', async () => {
+    const remote = new RemoteBrowser({ cdpPort: 9444 }, {}, socketPath);
+    await assert.rejects(remote.click('@e9'), err => {
+      assert.equal(err.code, 'TIMEOUT');
+      assert.equal(err.name, 'TimeoutError');
+      assert.deepEqual(err.details, { ref: '@e9' });
+      return true;
+    });
+  });
+
+  it('reduces non-plain results to presence', async () => {
+    assert.equal(await sendRequest('waitForSelector', ['#x'], {}, socketPath), true);
+  });
+
+  it('rejects unknown methods', async () => {
+    await assert.rejects(sendRequest('_exec', ['open'], {}, socketPath), { code: 'UNKNOWN_METHOD' });
+  });
+
+  it('answers status while a long call is queued', async () => {
+    let release;
+    const started = new Promise(resolve => {
+      stub.onIdle = done => {
+        release = done;
+        resolve();
+      };
+    });
+    const idle = sendRequest('waitForNetworkIdle', [60000], {}, socketPath);
+    await started;
+    const queued = sendRequest('snapshot', [{}], {}, socketPath);
+    const status = await getSessionStatus(socketPath);
+    assert.equal(status.running, true);
+    release();
+    assert.equal(await idle, 'idle');
+    assert.equal(await queued, '- button "OK" [ref=e1]');
+  });
+
+  it('reports a stopped session for a missing socket', async () => {
+    const status = await getSessionStatus(`${socketPath}.missing`);
+    assert.equal(status.running, false);
+  });
+});
+
+describe('session - unresponsive daemon', () => {
+  const socketPath = path.join(os.tmpdir(), `zylos-browser-test-${process.pid}-wedged.sock`);
+  // Accepts connections and reads requests, never answers
+  const server = net.createServer(socket => socket.resume());
+
+  before(async () => {
+    await new Promise(resolve => server.listen(socketPath, resolve));
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('times out waiting for a response', async () => {
+    await assert.rejects(sendRequest('session.status', [], {}, socketPath, 100), {
+      name: 'SessionError',
+      message: 'Session daemon did not answer session.status within 100ms'
+    });
+  });
+});
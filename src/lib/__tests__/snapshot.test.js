@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSnapshot, flattenSnapshot, formatNode } from '../snapshot.js';
+
+describe('snapshot - parseSnapshot', () => {
+  const output = [
+    '- heading "Users" [ref=e1] [level=2]',
+    '- table:',
+    '  - row "Ada admin":',
+    '    - cell "Ada" [ref=e2]',
+    '    - button "Delete" [ref=e3]',
+    '  - row "Bob user":',
+    '    - button "Delete" [ref=e4] [nth=1] [disabled]',
+    '- checkbox "Terms" [checked=mixed] [ref=e5]',
+    '- button "Say \\"hi\\"" [expanded] [pressed=false] [ref=e6]',
+    '- textbox "Email" [ref=e7]: ada@example.com',
+    '- \'link "Q: why?"\' [ref=e8]:',
+    '  - /url: /faq',
+    '- text: "Total: 3"',
+    '# Cursor-interactive elements:'
+  ].join('\n');
+
+  it('nests children by indentation', () => {
+    const tree = parseSnapshot(output);
+    assert.deepEqual(tree.map(node => node.role), ['heading', 'table', 'checkbox', 'button', 'textbox', 'link', 'text']);
+    const [ada, bob] = tree[1].children;
+    assert.deepEqual(ada.children.map(node => node.ref), ['e2', 'e3']);
+    assert.equal(bob.name, 'Bob user');
+    assert.equal(bob.ref, null);
+    assert.deepEqual(tree[5].children, []);
+  });
+
+  it('reads names, values, levels and states', () => {
+    const nodes = flattenSnapshot(parseSnapshot(output));
+    const byRef = ref => nodes.find(node => node.ref === ref);
+    assert.equal(byRef('e1').level, 2);
+    assert.deepEqual([byRef('e4').nth, byRef('e4').disabled], [1, true]);
+    assert.equal(byRef('e5').checked, 'mixed');
+    assert.deepEqual([byRef('e6').name, byRef('e6').expanded, byRef('e6').pressed], ['Say "hi"', true, false]);
+    assert.equal(byRef('e7').value, 'ada@example.com');
+    assert.equal(byRef('e8').name, 'Q: why?');
+    assert.equal(nodes.at(-1).value, 'Total: 3');
+  });
+
+  it('formats nodes as snapshot lines', () => {
+    const nodes = flattenSnapshot(parseSnapshot(output));
+    assert.equal(formatNode(nodes[6]), 'button "Delete" [ref=e4] [nth=1] [disabled]');
+    assert.equal(formatNode(nodes[7]), 'checkbox "Terms" [ref=e5] [checked=mixed]');
+    assert.equal(formatNode(nodes[9]), 'textbox "Email" [ref=e7]: ada@example.com');
+  });
+});
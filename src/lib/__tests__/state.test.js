@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { hostMatchesDomain, filterState, validateState, saveState, loadState } from '../state.js';
+
+const STATE = {
+  cookies: [
+    { name: 'sid', value: '1', domain: '.example.com', path: '/' },
+    { name: 'pref', value: '2', domain: 'app.example.com', path: '/' },
+    { name: 'ad', value: '3', domain: '.tracker.net', path: '/' }
+  ],
+  origins: [
+    { origin: 'https://app.example.com', localStorage: [{ name: 'token', value: 'x' }], sessionStorage: [] },
+    { origin: 'https://tracker.net', localStorage: [], sessionStorage: [] }
+  ]
+};
+
+describe('state - domain filtering', () => {
+  it('matches exact domains and subdomains', () => {
+    assert.equal(hostMatchesDomain('.example.com', 'example.com'), true);
+    assert.equal(hostMatchesDomain('app.example.com', 'example.com'), true);
+    assert.equal(hostMatchesDomain('badexample.com', 'example.com'), false);
+  });
+
+  it('keeps only cookies and origins of the domain', () => {
+    const filtered = filterState(STATE, 'example.com');
+    assert.deepEqual(filtered.cookies.map(c => c.name), ['sid', 'pref']);
+    assert.deepEqual(filtered.origins.map(o => o.origin), ['https://app.example.com']);
+  });
+
+  it('matches cookies given by url instead of domain', () => {
+    const filtered = filterState({
+      cookies: [
+        { name: 'a', value: 'b', url: 'https://example.com' },
+        { name: 'c', value: 'd', url: 'https://notexample.com/' },
+        { name: 'e', value: 'f', url: 'not a url' }
+      ]
+    }, 'example.com');
+    assert.deepEqual(filtered, { cookies: [{ name: 'a', value: 'b', url: 'https://example.com' }], origins: [] });
+  });
+
+  it('returns the state unchanged without a domain', () => {
+    assert.equal(filterState(STATE), STATE);
+  });
+});
+
+describe('state - validateState', () => {
+  it('accepts Playwright storage state', () => {
+    assert.equal(validateState(STATE).valid, true);
+    assert.equal(validateState({ cookies: [] }).valid, true);
+  });
+
+  it('rejects malformed state', () => {
+    const result = validateState({ cookies: [{ name: 'x' }], origins: [{ localStorage: {} }] });
+    assert.equal(result.valid, false);
+    assert.ok(result.errors.some(e => e.includes('Cookie 0')));
+    assert.ok(result.errors.some(e => e.includes('"origin"')));
+    assert.ok(result.errors.some(e => e.includes('localStorage')));
+  });
+});
+
+describe('state - save and load', () => {
+  const file = path.join(os.tmpdir(), `zylos-browser-state-${process.pid}.json`);
+
+  it('round-trips through a file with a domain filter', async () => {
+    const saved = await saveState({ storageState: async () => STATE }, file, { domain: 'tracker.net' });
+    assert.equal(saved.cookies, 1);
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+    let applied;
+    const summary = await loadState({
+      setStorageState: async state => {
+        applied = state;
+        return { cookies: state.cookies.length, origins: state.origins.length, sessionStorageSkipped: [] };
+      }
+    }, file);
+    assert.equal(summary.cookies, 1);
+    assert.deepEqual(applied.cookies.map(c => c.name), ['ad']);
+    fs.unlinkSync(file);
+  });
+
+  it('rejects a missing file', async () => {
+    await assert.rejects(loadState({}, `${file}.missing`), { code: 'FILE_NOT_FOUND' });
+  });
+});
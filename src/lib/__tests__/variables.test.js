@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateVariableSpec, checkVariables, formatVariableErrors } from '../variables.js';
+
+describe('variables - definitions', () => {
+  it('accepts typed definitions with constraints and defaults', () => {
+    const specs = {
+      count: { type: 'number', min: 1, max: 10, default: 2 },
+      plan: { type: 'enum', values: ['basic', 'pro'] },
+      zip: { type: 'string', pattern: '^\\d{5}$', min: 5 },
+      from: { type: 'date', min: '2026-01-01' },
+      password: { type: 'secret', env: 'SITE_PASSWORD' }
+    };
+    for (const [key, spec] of Object.entries(specs)) assert.deepEqual(validateVariableSpec(key, spec), []);
+  });
+
+  it('rejects unknown types, broken constraints and invalid defaults', () => {
+    assert.match(validateVariableSpec('a', { type: 'text' })[0], /unknown type "text"/);
+    assert.match(validateVariableSpec('b', { type: 'enum' })[0], /"values" array/);
+    assert.match(validateVariableSpec('c', { type: 'string', pattern: '(' })[0], /invalid "pattern"/);
+    assert.match(validateVariableSpec('d', { type: 'boolean', min: 1 })[0], /does not apply/);
+    assert.match(validateVariableSpec('e', { type: 'date', max: 'soon' })[0], /"max" must be a date/);
+    assert.deepEqual(validateVariableSpec('f', { type: 'number', max: 5, default: 9 }), ['Variable "f": default is more than 5']);
+  });
+});
+
+describe('variables - checkVariables', () => {
+  const specs = {
+    count: { type: 'number', min: 1, default: 1 },
+    notify: { type: 'boolean' },
+    plan: { type: 'enum', values: ['basic', 'pro', 3] },
+    email: { type: 'email', required: true, description: 'Login email' },
+    site: { type: 'url' },
+    day: { type: 'date' }
+  };
+
+  it('coerces --var strings and applies defaults', () => {
+    const { variables, errors } = checkVariables(specs, {
+      notify: 'yes', plan: '3', email: 'ada@example.com', site: 'https://example.com/x', day: '2026-10-19', extra: 'kept'
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(variables, {
+      count: 1, notify: true, plan: 3, email: 'ada@example.com', site: 'https://example.com/x', day: '2026-10-19', extra: 'kept'
+    });
+  });
+
+  it('reports every invalid or missing variable at once', () => {
+    const { errors } = checkVariables(specs, { count: '0', notify: 'maybe', plan: 'gold', site: 'example.com', day: '19/10/2026' });
+    assert.deepEqual(errors, [
+      'count: "0" is less than 1',
+      'notify: "maybe" is not true or false',
+      'plan: "gold" is not one of basic, pro, 3',
+      'email: required — Login email',
+      'site: "example.com" is not an absolute URL',
+      'day: "19/10/2026" is not a date (YYYY-MM-DD)'
+    ]);
+    assert.match(formatVariableErrors(errors), /^Invalid variables:\n {2}count/);
+    assert.deepEqual(checkVariables(specs, {}, { allowMissing: true }).errors, []);
+  });
+
+  it('keeps secret values out of error messages', () => {
+    const { errors } = checkVariables({ password: { type: 'secret', min: 8 } }, { password: 'hunter2' });
+    assert.equal(formatVariableErrors(errors), 'Invalid variable password: value is shorter than 8 characters');
+  });
+});
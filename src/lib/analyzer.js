@@ -40,15 +40,48 @@ Review the browser task output and extract learnings:
 - updateTask: taskName (if successful and defined in site knowledge)
 `;
 
+/**
+ * Heuristics over captured console entries (see console.js)
+ *
+ * @param {object[]} entries - Console log entries
+ * @returns {{ pageErrors: number, failedRequests: number, learnings: string[] }}
+ */
+export function analyzeConsole(entries = []) {
+  const pageErrors = entries.filter(e => e.type === 'pageerror');
+  const failedRequests = entries.filter(e => e.type === 'requestfailed' && e.level === 'error');
+  const serverErrors = entries.filter(e => e.type === 'console' && /status of 5\d\d/.test(e.text));
+  const learnings = [];
+
+  for (const text of [...new Set(pageErrors.map(e => e.text))].slice(0, 3)) {
+    learnings.push(`Page threw a JavaScript error: ${text}`);
+  }
+  if (failedRequests.length > 0) {
+    const hosts = [...new Set(failedRequests.map(e => {
+      try {
+        return new URL(e.text.split(' ')[1]).host;
+      } catch {
+        return null;
+      }
+    }).filter(Boolean))];
+    learnings.push(`${failedRequests.length} request(s) failed${hosts.length ? ` (${hosts.slice(0, 3).join(', ')})` : ''} — page may be partially loaded`);
+  }
+  if (serverErrors.length > 0) {
+    learnings.push('Server returned 5xx errors while loading the page — failure may be on the site side, retry later');
+  }
+
+  return { pageErrors: pageErrors.length, failedRequests: failedRequests.length, learnings };
+}
+
 /**
  * Quick heuristic analysis of task output (no LLM needed)
  *
  * @param {string} output - Task output text
  * @param {string} url - Current page URL
  * @param {string} taskName - Name of the task
+ * @param {object[]} [consoleEntries] - Console log captured during the task
  * @returns {{ success: string, confidence: string, learnings: string[] }}
  */
-export function analyzeResult(output, url, taskName) {
+export function analyzeResult(output, url, taskName, consoleEntries = []) {
   const successIndicators = [
     'successfully', 'completed', 'done', 'task complete', '成功'
   ];
@@ -73,6 +106,10 @@ export function analyzeResult(output, url, taskName) {
     }
   }
 
+  // Page errors only explain a failure; they don't make a task fail by themselves
+  const consoleAnalysis = analyzeConsole(consoleEntries);
+  if (hasFailure) learnings.push(...consoleAnalysis.learnings);
+
   let success;
   let confidence;
   if (hasFailure) {
@@ -86,7 +123,13 @@ export function analyzeResult(output, url, taskName) {
     confidence = 'none';
   }
 
-  return { success, confidence, learnings, suggestedRetry: hasFailure ? 'retry with fresh snapshot' : undefined };
+  return {
+    success,
+    confidence,
+    learnings,
+    pageErrors: consoleAnalysis.pageErrors,
+    suggestedRetry: hasFailure ? 'retry with fresh snapshot' : undefined
+  };
 }
 
 /**
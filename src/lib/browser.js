@@ -9,17 +9,146 @@
  */
 
 import { execFile as execFileCb } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
 import { promisify } from 'node:util';
-import { getConfig } from './config.js';
+import os from 'node:os';
+import { getConfig, DATA_DIR, SCREENSHOTS_DIR } from './config.js';
+import { HarRecorder } from './har.js';
+import { parseSnapshot, flattenSnapshot } from './snapshot.js';
+import { ConsoleCollector, filterEntries } from './console.js';
+import { DownloadTracker } from './downloads.js';
+import { SequenceRecorder, recordedSequencePath } from './recorder.js';
+import { loadRuleSet, validateRuleSet, createRouteHandler, domainRuleSets } from './rules.js';
 import {
   BrowserError,
   TimeoutError,
+  ElementNotFoundError,
   ConnectionError,
   DependencyError
 } from './errors.js';
 
 const execFile = promisify(execFileCb);
 
+/** agent-browser commands that manage tabs themselves (never pre-select a tab) */
+const TAB_COMMANDS = ['tab', 'tabs', 'newtab', 'closetab'];
+
+/**
+ * Parse a tab selector into { index } | { url } | { targetId }
+ *
+ * Accepts a number or numeric string (tab index), "url:<substring>",
+ * "id:<CDP target id>", an already-parsed object, or any other string
+ * (treated as a URL substring).
+ */
+export function parseTabSelector(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'object') return value;
+  if (typeof value === 'number' || /^\d+$/.test(value)) return { index: Number(value) };
+  if (value.startsWith('url:')) return { url: value.slice(4) };
+  if (value.startsWith('id:')) return { targetId: value.slice(3) };
+  return { url: value };
+}
+
+/**
+ * Resolve files for upload to absolute paths, checking they exist
+ *
+ * @param {string|string[]} files - File paths (relative to the working directory)
+ * @returns {string[]} Absolute paths
+ */
+export function resolveUploadFiles(files) {
+  const resolved = [].concat(files).map(file => path.resolve(String(file)));
+  if (resolved.length === 0) {
+    throw new BrowserError('No files given to upload', 'MISSING_ARGUMENT', { argument: 'file' });
+  }
+  const missing = resolved.filter(file => !fs.statSync(file, { throwIfNoEntry: false })?.isFile());
+  if (missing.length > 0) {
+    throw new BrowserError(`File not found: ${missing.join(', ')}`, 'FILE_NOT_FOUND', { files: missing });
+  }
+  return resolved;
+}
+
+/** Screenshot formats accepted by screenshot({ format }) */
+export const SCREENSHOT_FORMATS = ['png', 'jpeg'];
+
+/**
+ * Default path for a screenshot taken without one: a timestamped file in
+ * the configured screenshots directory when screenshots.auto_save is on,
+ * otherwise null
+ */
+export function autoScreenshotPath(format = 'png', config = getConfig()) {
+  if (!config.screenshots?.auto_save) return null;
+  const dir = config.screenshots.directory
+    ? path.resolve(DATA_DIR, config.screenshots.directory)
+    : SCREENSHOTS_DIR;
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return path.join(dir, `screenshot-${stamp}.${format === 'jpeg' ? 'jpg' : 'png'}`);
+}
+
+/**
+ * Turn table cell text into rows. With a header row, each row becomes an
+ * object keyed by header (blank or repeated headers fall back to column_N);
+ * without one, rows stay arrays.
+ *
+ * @param {string[][]} rows - Cell text per row, header row first if present
+ * @param {boolean} hasHeader
+ * @returns {object[]|string[][]}
+ */
+export function tableToRecords(rows, hasHeader) {
+  if (!hasHeader || rows.length === 0) return rows;
+  const [header, ...body] = rows;
+  const keys = header.map((text, i) => {
+    const key = text.trim();
+    return key && header.indexOf(text) === i ? key : `column_${i + 1}`;
+  });
+  return body.map(cells => Object.fromEntries(keys.map((key, i) => [key, cells[i] ?? ''])));
+}
+
+/**
+ * Find a ref's role, name and nth in agent-browser snapshot output
+ * @returns {{ role: string, name: string, nth: number }|null}
+ */
+function findRef(snapshotOutput, ref) {
+  const id = ref.replace(/^@|^ref=/, '');
+  const node = flattenSnapshot(parseSnapshot(snapshotOutput)).find(n => n.ref === id);
+  return node ? { role: node.role, name: node.name, nth: node.nth } : null;
+}
+
+/** Target kinds resolved by Playwright rather than from the snapshot */
+export const SELECTOR_TARGETS = ['css', 'xpath', 'text', 'label', 'placeholder'];
+
+/** Attribute set on elements found by locateTarget */
+const TARGET_ATTRIBUTE = 'data-zylos-target';
+let targetCount = 0;
+
+/**
+ * Playwright locator for a selector target: { css }, { xpath }, { text },
+ * { label } or { placeholder }. Text, label and placeholder match
+ * case-insensitive substrings unless "exact" is set; "within": { role, name }
+ * limits matches to the inside of those elements.
+ */
+export function targetLocator(page, target) {
+  const options = { exact: Boolean(target.exact) };
+  const { within } = target;
+  const scope = within
+    ? page.getByRole(within.role, within.name !== undefined ? { name: within.name, exact: true } : undefined)
+    : page;
+  if (target.css !== undefined) return scope.locator(target.css);
+  if (target.xpath !== undefined) return scope.locator(`xpath=${target.xpath}`);
+  if (target.text !== undefined) return scope.getByText(target.text, options);
+  if (target.label !== undefined) return scope.getByLabel(target.label, options);
+  if (target.placeholder !== undefined) return scope.getByPlaceholder(target.placeholder, options);
+  throw new BrowserError(`Not a selector target: ${JSON.stringify(target)}`, 'INVALID_ARGUMENT', { target });
+}
+
+/**
+ * Human-readable form of a parsed tab selector
+ */
+function describeTab(selector) {
+  if (selector.targetId) return `target id ${selector.targetId}`;
+  if (selector.index !== undefined) return `index ${selector.index}`;
+  return `URL containing "${selector.url}"`;
+}
+
 export class Browser {
   constructor(options = {}) {
     const config = getConfig();
@@ -27,15 +156,27 @@ export class Browser {
     this.headless = options.headless ?? config.headless ?? false;
     this.display = options.display ?? `:${config.display?.number ?? 99}`;
     this.timeout = options.timeout ?? config.sequences?.timeout_default ?? 30000;
+    this.tab = options.tab ?? null;
     this._playwright = null;
     this._cdpBrowser = null;
+    this._har = null;
+    this._console = null;
+    this._downloads = null;
+    this._recorder = null;
+    this._routes = [];
+    // Rule sets applied by _applyDomainRules because of the open page's domain
+    this._domainRules = [];
   }
 
   /**
    * Run an agent-browser command
+   *
+   * When this.tab is set, that tab is made active first so the command
+   * acts on it.
+   *
    * @param {string|string[]} command - Command string or args array
-   * @param {object} options - Override timeout etc.
-   * @returns {string} stdout
+   * @param {object} options - Override timeout; json: parse --json output and return its data
+   * @returns {string|object} stdout, or parsed data with options.json
    */
   async _exec(command, options = {}) {
     const timeout = options.timeout ?? this.timeout;
@@ -47,6 +188,15 @@ export class Browser {
     const cmdArgs = Array.isArray(command) ? command : this._parseArgs(command);
     const cmdStr = Array.isArray(command) ? command.join(' ') : command;
     const args = ['--cdp', String(this.cdpPort), ...cmdArgs];
+    if (options.json) args.push('--json');
+
+    if (this.tab !== null && !TAB_COMMANDS.includes(cmdArgs[0])) {
+      await this._activateTab();
+    }
+    // Another CDP client may have redirected downloads since the last command
+    if (this._downloads?.attached) {
+      await this._downloads.arm().catch(() => {});
+    }
 
     try {
       const { stdout } = await execFile('agent-browser', args, {
@@ -54,8 +204,10 @@ export class Browser {
         env,
         maxBuffer: 1024 * 1024 * 5 // 5MB
       });
+      if (options.json) return this._parseJsonOutput(stdout, cmdStr);
       return stdout.trim();
     } catch (err) {
+      if (err instanceof BrowserError) throw err;
       if (err.killed || err.signal === 'SIGTERM') {
         throw new TimeoutError(`Command timed out after ${timeout}ms: agent-browser ${cmdStr}`, {
           command: cmdStr,
@@ -81,6 +233,22 @@ export class Browser {
     }
   }
 
+  /**
+   * Unwrap agent-browser --json output ({ success, data, error })
+   */
+  _parseJsonOutput(stdout, cmdStr) {
+    let response;
+    try {
+      response = JSON.parse(stdout);
+    } catch {
+      throw new BrowserError(`agent-browser ${cmdStr} returned invalid JSON`, 'EXEC_ERROR', { command: cmdStr, stdout });
+    }
+    if (response.success === false) {
+      throw new BrowserError(`agent-browser ${cmdStr} failed: ${response.error}`, 'EXEC_ERROR', { command: cmdStr });
+    }
+    return response.data ?? response;
+  }
+
   /**
    * Parse a command string into args array, respecting quotes
    */
@@ -115,7 +283,12 @@ export class Browser {
 
   // --- Navigation ---
 
+  /**
+   * Open a URL in the active tab. Rule sets for its domain are applied
+   * first, so they cover the page load too (see _applyDomainRules).
+   */
   async open(url) {
+    await this._applyDomainRules(url);
     return this._exec(['open', url]);
   }
 
@@ -135,6 +308,13 @@ export class Browser {
     return this._exec('wait');
   }
 
+  /**
+   * URL of the active tab
+   */
+  async url() {
+    return this._exec(['get', 'url']);
+  }
+
   // --- Snapshot & Element Finding ---
 
   async snapshot(options = {}) {
@@ -166,6 +346,30 @@ export class Browser {
     return this._exec(['check', ref]);
   }
 
+  async uncheck(ref) {
+    return this._exec(['uncheck', ref]);
+  }
+
+  async hover(ref) {
+    return this._exec(['hover', ref]);
+  }
+
+  /**
+   * Drag one element and drop it on another
+   */
+  async drag(sourceRef, targetRef) {
+    return this._exec(['drag', sourceRef, targetRef]);
+  }
+
+  /**
+   * Set the files of an <input type=file>
+   * @param {string} ref - Element ref or selector
+   * @param {string|string[]} files - Paths; relative paths resolve against this process's cwd
+   */
+  async upload(ref, files) {
+    return this._exec(['upload', ref, ...resolveUploadFiles(files)]);
+  }
+
   async scroll(direction, amount) {
     const args = ['scroll', direction];
     if (amount) args.push(String(amount));
@@ -178,10 +382,93 @@ export class Browser {
 
   // --- Visual ---
 
-  async screenshot(filePath) {
-    const args = ['screenshot'];
-    if (filePath) args.push(filePath);
-    return this._exec(args);
+  /**
+   * Take a screenshot
+   *
+   * @param {string} [filePath] - Output path (default: auto-save path, or a temp file)
+   * @param {object} options - As for saveScreenshot()
+   * @returns {string} Path of the saved file
+   */
+  async screenshot(filePath, options = {}) {
+    return (await this.saveScreenshot(filePath, options)).path;
+  }
+
+  /**
+   * Take a screenshot
+   *
+   * Viewport and full-page PNGs go through agent-browser; element clips
+   * and JPEG output use Playwright.
+   *
+   * @param {string} [filePath] - Output path (default: auto-save path, or a temp file)
+   * @param {object} options - { fullPage, ref: element ref or CSS selector, format: png|jpeg, quality: 0-100 }
+   * @returns {{ path: string }}
+   */
+  async saveScreenshot(filePath, options = {}) {
+    const format = options.format === 'jpg' ? 'jpeg' : options.format;
+    if (format && !SCREENSHOT_FORMATS.includes(format)) {
+      throw new BrowserError(`Unsupported screenshot format: ${format} (expected png or jpeg)`, 'INVALID_ARGUMENT', { format });
+    }
+    if (options.quality !== undefined) {
+      const quality = Number(options.quality);
+      if (format !== 'jpeg' || !Number.isInteger(quality) || quality < 0 || quality > 100) {
+        throw new BrowserError('--quality takes 0-100 and needs --format jpeg', 'INVALID_ARGUMENT', { quality: options.quality });
+      }
+    }
+
+    let target = filePath ?? autoScreenshotPath(format);
+    if (target) fs.mkdirSync(path.dirname(path.resolve(target)), { recursive: true });
+
+    if (!options.ref && !format) {
+      const args = ['screenshot'];
+      if (options.fullPage) args.push('--full');
+      if (target) args.push(target);
+      const data = await this._exec(args, { json: true });
+      return { path: data?.path ?? target };
+    }
+
+    target ??= path.join(os.tmpdir(), `zylos-screenshot-${Date.now()}.${format === 'jpeg' ? 'jpg' : 'png'}`);
+    const shotOptions = { path: target, type: format };
+    if (options.quality !== undefined) shotOptions.quality = Number(options.quality);
+
+    if (options.ref) {
+      const locator = await this._locator(options.ref);
+      await locator.screenshot({ ...shotOptions, timeout: this.timeout }).catch(err => {
+        throw this._wrapTimeout(err, `Timed out after ${this.timeout}ms taking screenshot of ${options.ref}`, { ref: options.ref });
+      });
+    } else {
+      const page = await this._getPage();
+      await page.screenshot({ ...shotOptions, fullPage: Boolean(options.fullPage) });
+    }
+    return { path: target };
+  }
+
+  /**
+   * Save the page as PDF (Chrome may refuse outside headless mode)
+   *
+   * @param {string} filePath - Output path
+   * @param {object} options - { format: paper size (A4, Letter, ...), landscape,
+   *   margin: CSS length or { top, right, bottom, left }, background, scale }
+   * @returns {{ path: string }}
+   */
+  async pdf(filePath, options = {}) {
+    const page = await this._getPage();
+    const margin = typeof options.margin === 'string'
+      ? { top: options.margin, right: options.margin, bottom: options.margin, left: options.margin }
+      : options.margin;
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    try {
+      await page.pdf({
+        path: filePath,
+        format: options.format ?? 'A4',
+        landscape: Boolean(options.landscape),
+        printBackground: Boolean(options.background),
+        margin,
+        scale: options.scale
+      });
+    } catch (err) {
+      throw new BrowserError(`PDF export failed: ${err.message.split('\n')[0]}`, 'PDF_FAILED', { path: filePath });
+    }
+    return { path: filePath };
   }
 
   // --- Tab Management ---
@@ -190,7 +477,24 @@ export class Browser {
     return this._exec(['tabs']);
   }
 
-  async switchTab(index) {
+  /**
+   * Make a tab active
+   * @param {number|string} selector - Tab index, "url:<substring>" or "id:<target id>" (see parseTabSelector)
+   */
+  async switchTab(selector) {
+    const parsed = parseTabSelector(selector);
+    if (!parsed) throw new BrowserError('No tab given', 'MISSING_ARGUMENT', { argument: 'tab' });
+    let index = parsed.index;
+    if (index === undefined) {
+      const pages = await this._pages();
+      const page = await this._matchPage(pages, parsed);
+      if (!page) {
+        throw new BrowserError(`No tab matches ${describeTab(parsed)}`, 'TAB_NOT_FOUND', { tab: parsed });
+      }
+      index = pages.indexOf(page);
+    }
+    // A tab pinned with --tab would be re-activated by the next command
+    if (this.tab !== null) this.tab = selector;
     return this._exec(['tab', String(index)]);
   }
 
@@ -217,6 +521,16 @@ export class Browser {
       this._cdpBrowser = await this._playwright.chromium.connectOverCDP(
         `http://127.0.0.1:${this.cdpPort}`
       );
+      // Chrome restarted or closed: reconnect on next use (matters for the session daemon)
+      this._cdpBrowser.on('disconnected', () => {
+        this._cdpBrowser = null;
+        this._console?.detach();
+        this._downloads?.detach();
+        this._recorder?.detach();
+      });
+      this._attachConsole();
+      await this._attachDownloads();
+      await this._attachRecorder();
     } catch (err) {
       if (err.code === 'ERR_MODULE_NOT_FOUND') {
         throw new DependencyError('playwright-core', 'playwright-core not installed. Run: npm install playwright-core');
@@ -225,17 +539,137 @@ export class Browser {
     }
   }
 
-  async _getPage() {
+  /**
+   * All tabs in agent-browser's numbering: pages of every context,
+   * in order, skipping pages without a URL
+   */
+  async _pages() {
     await this._ensurePlaywright();
     const contexts = this._cdpBrowser.contexts();
     if (contexts.length === 0) {
       throw new BrowserError('No browser contexts available');
     }
-    const pages = contexts[0].pages();
+    return contexts.flatMap(context => context.pages()).filter(page => page.url());
+  }
+
+  /**
+   * The tab agent-browser considers active, as { index, url }.
+   * Falls back to the first tab if agent-browser cannot report it.
+   */
+  async _activeTab() {
+    try {
+      const data = await this._exec(['tab', 'list'], { json: true });
+      const active = data.tabs?.find(t => t.active);
+      return { index: data.active ?? active?.index ?? 0, url: active?.url };
+    } catch {
+      return { index: 0 };
+    }
+  }
+
+  /**
+   * Find the page matching a parsed tab selector
+   * @returns {Promise<object|null>} Playwright page
+   */
+  async _matchPage(pages, selector) {
+    if (selector.targetId) {
+      for (const page of pages) {
+        const session = await page.context().newCDPSession(page);
+        try {
+          const { targetInfo } = await session.send('Target.getTargetInfo');
+          if (targetInfo.targetId === selector.targetId) return page;
+        } finally {
+          await session.detach().catch(() => {});
+        }
+      }
+      return null;
+    }
+    if (selector.index !== undefined) {
+      const page = pages[selector.index] ?? null;
+      // Our page list can drift from agent-browser's if tabs opened in between;
+      // trust the URL it reported over the index
+      if (selector.url && page?.url() !== selector.url) {
+        return pages.find(p => p.url() === selector.url) ?? page;
+      }
+      return page;
+    }
+    return pages.find(p => p.url().includes(selector.url)) ?? null;
+  }
+
+  /**
+   * Make this.tab the active agent-browser tab
+   */
+  async _activateTab() {
+    await this.switchTab(this.tab);
+  }
+
+  /**
+   * Page for Playwright-backed methods: this.tab if set,
+   * otherwise the tab agent-browser considers active
+   */
+  async _getPage() {
+    const pages = await this._pages();
     if (pages.length === 0) {
       throw new BrowserError('No pages available');
     }
-    return pages[0];
+    const selector = this.tab !== null ? parseTabSelector(this.tab) : await this._activeTab();
+    const page = await this._matchPage(pages, selector);
+    if (!page) {
+      throw new BrowserError(`No tab matches ${describeTab(selector)}`, 'TAB_NOT_FOUND', { tab: selector });
+    }
+    return page;
+  }
+
+  /**
+   * Playwright locator for an agent-browser ref (@e12) or a CSS selector.
+   * Refs are resolved the way agent-browser does it — by role, accessible
+   * name and nth — from a fresh interactive snapshot.
+   */
+  async _locator(refOrSelector) {
+    const page = await this._getPage();
+    if (!/^(@|ref=)e\d+$/.test(refOrSelector)) return page.locator(refOrSelector);
+
+    const found = findRef(await this.snapshot({ interactive: true }), refOrSelector);
+    if (!found) throw new ElementNotFoundError(refOrSelector);
+    const locator = found.name
+      ? page.getByRole(found.role, { name: found.name, exact: true })
+      : page.getByRole(found.role);
+    return found.nth > 0 ? locator.nth(found.nth) : locator.first();
+  }
+
+  /**
+   * Find the element of a selector target (see targetLocator) and mark it,
+   * so commands taking a ref or CSS selector can act on it
+   *
+   * @param {object} target - Selector target; nth picks a match (default the first)
+   * @returns {Promise<{ ref: string, role: string, name: string, disabled: boolean }|null>}
+   *   ref is a CSS selector for the marked element; null when nothing matches
+   */
+  async locateTarget(target) {
+    const locator = targetLocator(await this._getPage(), target).nth(target.nth ?? 0);
+    if (await locator.count() === 0) return null;
+    const id = `${process.pid.toString(36)}-${++targetCount}`;
+    const element = await locator.evaluate((el, [attribute, value]) => {
+      el.setAttribute(attribute, value);
+      const name = el.getAttribute('aria-label') || el.innerText || el.value || el.getAttribute('placeholder') || '';
+      return {
+        role: el.getAttribute('role') || el.tagName.toLowerCase(),
+        name: name.trim().replace(/\s+/g, ' ').slice(0, 80),
+        disabled: el.disabled === true || el.getAttribute('aria-disabled') === 'true'
+      };
+    }, [TARGET_ATTRIBUTE, id], { timeout: this.timeout }).catch(err => {
+      throw this._wrapTimeout(err, `Timed out after ${this.timeout}ms locating ${JSON.stringify(target)}`, { target, timeout: this.timeout });
+    });
+    return { ref: `[${TARGET_ATTRIBUTE}="${id}"]`, ...element };
+  }
+
+  /**
+   * Translate Playwright timeouts into our TimeoutError
+   */
+  _wrapTimeout(err, message, details) {
+    if (err?.name === 'TimeoutError') {
+      return new TimeoutError(message, details);
+    }
+    return err;
   }
 
   async evaluate(expression) {
@@ -243,16 +677,69 @@ export class Browser {
     return page.evaluate(expression);
   }
 
+  /**
+   * Read data from an element: its text, an attribute, or a table's rows
+   *
+   * @param {string} refOrSelector - Element ref (@e12) or CSS selector
+   * @param {object} options - { attribute, table: rows of the (enclosing) table,
+   *   all: every match instead of the first, timeout }
+   * @returns {string|string[]|object[]|null}
+   */
+  async extract(refOrSelector, options = {}) {
+    const locator = await this._locator(refOrSelector);
+    const timeout = options.timeout ?? this.timeout;
+
+    if (options.table) {
+      const { rows, hasHeader } = await locator.first().evaluate(el => {
+        const table = el.closest('table') || el.querySelector('table');
+        if (!table) throw new Error('Element is not a table and contains none');
+        const rows = [...table.rows].map(row => [...row.cells].map(cell => cell.innerText.trim()));
+        const first = table.rows[0];
+        const hasHeader = Boolean(table.tHead?.rows.length) ||
+          Boolean(first && [...first.cells].every(cell => cell.tagName === 'TH'));
+        return { rows, hasHeader };
+      }, null, { timeout }).catch(err => {
+        throw this._wrapTimeout(err, `Timed out after ${timeout}ms waiting for table: ${refOrSelector}`, { ref: refOrSelector, timeout });
+      });
+      return tableToRecords(rows, hasHeader);
+    }
+
+    if (options.all) {
+      return options.attribute
+        ? locator.evaluateAll((els, name) => els.map(el => el.getAttribute(name)), options.attribute)
+        : locator.allInnerTexts();
+    }
+
+    const first = locator.first();
+    const read = options.attribute
+      ? first.getAttribute(options.attribute, { timeout })
+      : first.innerText({ timeout });
+    return read.catch(err => {
+      throw this._wrapTimeout(err, `Timed out after ${timeout}ms waiting for element: ${refOrSelector}`, { ref: refOrSelector, timeout });
+    });
+  }
+
   async cookies() {
     const page = await this._getPage();
     return page.context().cookies();
   }
 
+  /**
+   * Set a cookie. Without url or domain it is scoped to the current page.
+   */
   async setCookie(cookie) {
     const page = await this._getPage();
+    if (!cookie.url && !cookie.domain) {
+      cookie = { ...cookie, url: page.url() };
+    }
     return page.context().addCookies([cookie]);
   }
 
+  async clearCookies() {
+    const page = await this._getPage();
+    return page.context().clearCookies();
+  }
+
   async localStorage(key, value) {
     const page = await this._getPage();
     if (value !== undefined) {
@@ -261,24 +748,397 @@ export class Browser {
     return page.evaluate(k => window.localStorage.getItem(k), key);
   }
 
+  /**
+   * Capture cookies plus localStorage/sessionStorage of every open
+   * http(s) origin, in Playwright storage-state shape
+   * (origins[].sessionStorage is our extension).
+   */
+  async storageState() {
+    const page = await this._getPage();
+    const cookies = await page.context().cookies();
+    const origins = new Map();
+
+    for (const p of await this._pages()) {
+      let origin;
+      try {
+        origin = new URL(p.url()).origin;
+      } catch {
+        continue;
+      }
+      if (!origin.startsWith('http')) continue;
+
+      const storage = await p.evaluate(() => {
+        const dump = store => Object.keys(store).map(name => ({ name, value: store.getItem(name) }));
+        return { localStorage: dump(window.localStorage), sessionStorage: dump(window.sessionStorage) };
+      }).catch(() => null);
+      if (!storage) continue;
+
+      // localStorage is shared per origin; sessionStorage is per tab — keep the first seen
+      if (!origins.has(origin)) origins.set(origin, { origin, ...storage });
+    }
+
+    return { cookies, origins: [...origins.values()] };
+  }
+
+  /**
+   * Restore a storage state. localStorage for origins without an open tab
+   * is written through a temporary page; sessionStorage can only be
+   * restored into an already open tab of that origin.
+   *
+   * @returns {{ cookies: number, origins: number, sessionStorageSkipped: string[] }}
+   */
+  async setStorageState(state) {
+    const page = await this._getPage();
+    const context = page.context();
+    const summary = { cookies: 0, origins: 0, sessionStorageSkipped: [] };
+
+    if (state.cookies?.length) {
+      await context.addCookies(state.cookies);
+      summary.cookies = state.cookies.length;
+    }
+
+    const pages = await this._pages();
+    const write = (target, entry) => target.evaluate(({ local, session }) => {
+      for (const { name, value } of local) window.localStorage.setItem(name, value);
+      for (const { name, value } of session) window.sessionStorage.setItem(name, value);
+    }, { local: entry.localStorage || [], session: entry.sessionStorage || [] });
+
+    for (const entry of state.origins || []) {
+      const open = pages.find(p => {
+        try {
+          return new URL(p.url()).origin === entry.origin;
+        } catch {
+          return false;
+        }
+      });
+      if (open) {
+        await write(open, entry);
+      } else {
+        const temp = await context.newPage();
+        try {
+          await temp.goto(entry.origin, { waitUntil: 'domcontentloaded', timeout: this.timeout });
+          await write(temp, { localStorage: entry.localStorage });
+        } finally {
+          await temp.close();
+        }
+        if (entry.sessionStorage?.length) summary.sessionStorageSkipped.push(entry.origin);
+      }
+      summary.origins++;
+    }
+
+    return summary;
+  }
+
   async interceptNetwork(pattern, handler) {
     const page = await this._getPage();
     await page.route(pattern, handler);
   }
 
+  // --- Network rules ---
+
+  /**
+   * Apply a declarative rule set (see rules.js) to the active page
+   * @param {string|object} ruleSet - Rule set name or definition
+   * @returns {{ name: string, rules: number }}
+   */
+  async applyRules(ruleSet) {
+    const set = typeof ruleSet === 'string' ? loadRuleSet(ruleSet) : ruleSet;
+    const { valid, errors } = validateRuleSet(set);
+    if (!valid) {
+      throw new BrowserError(`Invalid rule set: ${errors.join('; ')}`, 'INVALID_RULES', { errors });
+    }
+    const name = set.name || 'inline';
+    await this.clearRules(name);
+    // Applied by name now (e.g. a sequence's "rules"), so navigation leaves it alone
+    this._domainRules = this._domainRules.filter(n => n !== name);
+
+    const page = await this._getPage();
+    // Playwright runs the most recently registered route first,
+    // so register in reverse to give the first rule priority
+    for (const rule of [...set.rules].reverse()) {
+      const handler = createRouteHandler(rule);
+      await this.interceptNetwork(rule.match, handler);
+      this._routes.push({ name, page, pattern: rule.match, handler });
+    }
+    return { name, rules: set.rules.length };
+  }
+
+  /**
+   * Remove routes added by applyRules
+   * @param {string} [name] - Rule set to remove (default: all)
+   * @returns {{ cleared: string[] }}
+   */
+  async clearRules(name) {
+    const removing = this._routes.filter(r => !name || r.name === name);
+    this._routes = this._routes.filter(r => !removing.includes(r));
+    this._domainRules = name ? this._domainRules.filter(n => n !== name) : [];
+    for (const route of removing) {
+      await route.page.unroute(route.pattern, route.handler).catch(() => {
+        // Page already closed
+      });
+    }
+    return { cleared: [...new Set(removing.map(r => r.name))] };
+  }
+
+  /**
+   * Apply the rule sets whose "domains" cover a URL's host and remove
+   * those this method applied for a previous domain. Sets already applied
+   * by name are left to whoever applied them. Without any such rule sets
+   * the page is not touched.
+   */
+  async _applyDomainRules(url) {
+    let host = null;
+    try {
+      // agent-browser accepts URLs without a scheme
+      host = new URL(/^[a-z][\w+.-]*:/i.test(url) ? url : `https://${url}`).hostname;
+    } catch {
+      // Not a URL — agent-browser reports it
+    }
+    const sets = host ? domainRuleSets(host) : [];
+    const names = sets.map(set => set.name);
+    for (const name of this._domainRules.filter(name => !names.includes(name))) {
+      await this.clearRules(name);
+    }
+    for (const set of sets) {
+      if (this._routes.some(route => route.name === set.name)) continue;
+      await this.applyRules(set);
+      this._domainRules.push(set.name);
+    }
+  }
+
+  async activeRules() {
+    const counts = {};
+    for (const route of this._routes) counts[route.name] = (counts[route.name] || 0) + 1;
+    return Object.entries(counts).map(([name, rules]) => ({ name, rules }));
+  }
+
+  // --- Network recording (HAR) ---
+
+  /**
+   * Start recording the active page's traffic
+   * @param {object} options - { bodies, file }
+   */
+  async startHar(options = {}) {
+    if (this._har) {
+      throw new BrowserError('HAR recording already in progress', 'ALREADY_RECORDING', { file: this._har.file });
+    }
+    const page = await this._getPage();
+    this._har = new HarRecorder(options);
+    this._har.attach(page);
+    return this.harStatus();
+  }
+
+  /**
+   * Stop recording
+   * @returns {{ file: string|null, har: object }}
+   */
+  async stopHar() {
+    if (!this._har) {
+      throw new BrowserError('No HAR recording in progress', 'NOT_RECORDING');
+    }
+    const recorder = this._har;
+    this._har = null;
+    await recorder.detach();
+    return { file: recorder.file, har: recorder.toHar() };
+  }
+
+  async harStatus() {
+    if (!this._har) return { recording: false };
+    return {
+      recording: true,
+      file: this._har.file,
+      bodies: this._har.bodies,
+      startedAt: this._har.startedAt,
+      entries: this._har.entries.length
+    };
+  }
+
+  // --- Sequence recording ---
+
+  async _attachRecorder() {
+    if (!this._recorder || !this._cdpBrowser) return;
+    for (const context of this._cdpBrowser.contexts()) await this._recorder.attach(context);
+  }
+
+  /**
+   * Start recording interactions in the browser as a sequence, saved
+   * under the current page's domain
+   * @param {string} name - Sequence name
+   * @param {object} options - { force: overwrite an existing sequence file }
+   */
+  async startRecording(name, options = {}) {
+    if (this._recorder) {
+      throw new BrowserError(`Already recording sequence "${this._recorder.name}"`, 'ALREADY_RECORDING', { name: this._recorder.name });
+    }
+    if (!/^[\w.-]+$/.test(name)) {
+      throw new BrowserError(`Invalid sequence name: ${name} (letters, digits, "_", "-" and "." only)`, 'INVALID_ARGUMENT', { name });
+    }
+    const page = await this._getPage();
+    const file = recordedSequencePath(name, page.url());
+    if (fs.existsSync(file) && !options.force) {
+      throw new BrowserError(`Sequence already exists: ${file} (use --force to overwrite)`, 'SEQUENCE_EXISTS', { file });
+    }
+    this._recorder = new SequenceRecorder({ name, url: page.url(), file });
+    try {
+      await this._attachRecorder();
+    } catch (err) {
+      this._recorder.detach();
+      this._recorder = null;
+      throw err;
+    }
+    return this.recordingStatus();
+  }
+
+  /**
+   * Stop recording
+   * @returns {{ file: string, sequence: object }}
+   */
+  async stopRecording() {
+    if (!this._recorder) {
+      throw new BrowserError('No sequence recording in progress', 'NOT_RECORDING');
+    }
+    const recorder = this._recorder;
+    this._recorder = null;
+    recorder.detach();
+    return { file: recorder.file, sequence: recorder.toSequence() };
+  }
+
+  async recordingStatus() {
+    if (!this._recorder) return { recording: false };
+    return {
+      recording: true,
+      name: this._recorder.name,
+      file: this._recorder.file,
+      startedAt: this._recorder.startedAt,
+      steps: this._recorder.steps.length
+    };
+  }
+
+  // --- Console capture ---
+
+  _attachConsole() {
+    if (!this._console || !this._cdpBrowser) return;
+    for (const context of this._cdpBrowser.contexts()) this._console.attach(context);
+  }
+
+  /**
+   * Start collecting console messages, page errors and failed requests
+   * from all tabs. Safe to call when already capturing; the collector
+   * re-attaches if Chrome reconnects.
+   * @param {object} options - { limit: buffer size }
+   * @returns {{ capturing: boolean, startedAt: string, entries: number, lastId: number }}
+   */
+  async startConsole(options = {}) {
+    this._console ??= new ConsoleCollector(options);
+    await this._ensurePlaywright();
+    this._attachConsole();
+    return this.consoleStatus();
+  }
+
+  /**
+   * Buffered entries
+   * @param {object} filter - { level, after, limit } (see console.js filterEntries)
+   */
+  async consoleEntries(filter = {}) {
+    if (!this._console) {
+      throw new BrowserError('Console capture is not running', 'NOT_RECORDING');
+    }
+    return filterEntries(this._console.entries, filter);
+  }
+
+  async clearConsole() {
+    return { cleared: this._console ? this._console.clear() : 0 };
+  }
+
+  /**
+   * Stop capturing
+   * @returns {{ entries: object[] }} Everything still buffered
+   */
+  async stopConsole() {
+    if (!this._console) {
+      throw new BrowserError('Console capture is not running', 'NOT_RECORDING');
+    }
+    const collector = this._console;
+    this._console = null;
+    collector.detach();
+    return { entries: collector.entries };
+  }
+
+  async consoleStatus() {
+    if (!this._console) return { capturing: false };
+    return {
+      capturing: true,
+      startedAt: this._console.startedAt,
+      entries: this._console.entries.length,
+      lastId: this._console.lastId
+    };
+  }
+
+  // --- Downloads ---
+
+  async _attachDownloads() {
+    if (!this._downloads || this._downloads.attached || !this._cdpBrowser) return;
+    this._downloads.attach(await this._cdpBrowser.newBrowserCDPSession());
+    await this._downloads.arm();
+  }
+
+  /**
+   * Save downloads to the managed downloads directory and track them
+   * (safe to call when already tracking)
+   * @returns {{ tracking: boolean, directory: string, downloads: object[] }}
+   */
+  async startDownloads() {
+    this._downloads ??= new DownloadTracker();
+    await this._ensurePlaywright();
+    await this._attachDownloads();
+    return this.downloadsStatus();
+  }
+
+  /**
+   * Wait for a download to finish and return its saved path
+   * @param {object} options - { timeout, within: also accept a download started this many ms ago }
+   * @returns {{ id: number, file: string, name: string, url: string, size: number }}
+   */
+  async waitForDownload(options = {}) {
+    await this.startDownloads();
+    return this._downloads.waitFor({ timeout: this.timeout, ...options });
+  }
+
+  async downloadsStatus() {
+    if (!this._downloads) return { tracking: false };
+    return {
+      tracking: true,
+      directory: this._downloads.dir,
+      downloads: this._downloads.downloads.map(({ guid, claimed, ...d }) => d)
+    };
+  }
+
   async waitForSelector(selector, options = {}) {
     const page = await this._getPage();
-    return page.waitForSelector(selector, options);
+    const timeout = options.timeout ?? this.timeout;
+    try {
+      return await page.waitForSelector(selector, { ...options, timeout });
+    } catch (err) {
+      throw this._wrapTimeout(err, `Timed out after ${timeout}ms waiting for selector: ${selector}`, { selector, timeout });
+    }
   }
 
   async waitForNavigation(urlPattern, timeout = 30000) {
     const page = await this._getPage();
-    return page.waitForURL(urlPattern, { timeout });
+    try {
+      return await page.waitForURL(urlPattern, { timeout });
+    } catch (err) {
+      throw this._wrapTimeout(err, `Timed out after ${timeout}ms waiting for URL: ${urlPattern}`, { url: urlPattern, timeout });
+    }
   }
 
   async waitForNetworkIdle(timeout = 30000) {
     const page = await this._getPage();
-    return page.waitForLoadState('networkidle', { timeout });
+    try {
+      return await page.waitForLoadState('networkidle', { timeout });
+    } catch (err) {
+      throw this._wrapTimeout(err, `Timed out after ${timeout}ms waiting for network idle`, { timeout });
+    }
   }
 
   // --- Lifecycle ---
@@ -18,7 +18,10 @@ export const KNOWLEDGE_DIR = path.join(DATA_DIR, 'knowledge');
 export const SEQUENCES_DIR = path.join(DATA_DIR, 'sequences');
 export const SCREENSHOTS_DIR = path.join(DATA_DIR, 'screenshots');
 export const LOGS_DIR = path.join(DATA_DIR, 'logs');
+export const RULES_DIR = path.join(DATA_DIR, 'rules');
+export const DOWNLOADS_DIR = path.join(DATA_DIR, 'downloads');
 export const ENV_FILE = path.join(ZYLOS_DIR, '.env');
+export const SESSION_SOCKET = path.join(DATA_DIR, 'session.sock');
 
 // Default configuration (matches arch doc §9)
 export const DEFAULT_CONFIG = {
@@ -41,11 +44,17 @@ export const DEFAULT_CONFIG = {
   sequences: {
     timeout_default: 30000,
     retry_on_failure: true,
-    max_retries: 2
+    max_retries: 2,
+    retry_delay: 500,
+    max_loop_iterations: 100,
+    max_run_logs: 100
   },
   screenshots: {
     auto_save: false,
     directory: 'screenshots'
+  },
+  network: {
+    rules: {}
   }
 };
 
@@ -0,0 +1,207 @@
+/**
+ * Console Collector — capture console messages, page errors and failed requests
+ *
+ * Attaches to Playwright browser contexts so every tab is covered,
+ * including tabs opened after capture starts. Entries are kept in a
+ * bounded buffer and numbered, so callers can read "what happened since".
+ * Used by the `console` command (buffered in the session daemon, or
+ * streamed with --follow) and by sequence runs with console capture.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+/** Severity levels, lowest first */
+export const CONSOLE_LEVELS = ['debug', 'info', 'warning', 'error'];
+
+/** Entries kept in the buffer before the oldest are dropped */
+const MAX_ENTRIES = 1000;
+
+/** Failures caused on purpose (blocked by rules, navigation away) */
+const EXPECTED_FAILURES = ['net::ERR_BLOCKED_BY_CLIENT', 'net::ERR_ABORTED'];
+
+/**
+ * Map a Playwright console message type to a level
+ */
+export function messageLevel(type) {
+  switch (type) {
+    case 'error':
+    case 'assert':
+      return 'error';
+    case 'warning':
+      return 'warning';
+    case 'debug':
+    case 'trace':
+      return 'debug';
+    default:
+      return 'info';
+  }
+}
+
+/**
+ * Normalize a user-supplied level ("warn" is accepted for "warning")
+ *
+ * @returns {string|null} Level, or null if unknown
+ */
+export function parseLevel(value) {
+  if (!value) return null;
+  const level = value === 'warn' ? 'warning' : value;
+  return CONSOLE_LEVELS.includes(level) ? level : null;
+}
+
+/**
+ * Filter entries by minimum level and/or entry id
+ *
+ * @param {object[]} entries
+ * @param {object} filter - { level: minimum level, after: only ids greater than this, limit: newest N }
+ */
+export function filterEntries(entries, filter = {}) {
+  const min = filter.level ? CONSOLE_LEVELS.indexOf(filter.level) : 0;
+  let result = entries.filter(e =>
+    CONSOLE_LEVELS.indexOf(e.level) >= min && (filter.after === undefined || e.id > filter.after)
+  );
+  if (filter.limit) result = result.slice(-filter.limit);
+  return result;
+}
+
+/**
+ * One-line text form of an entry
+ */
+export function formatEntry(entry) {
+  const time = entry.time.slice(11, 23);
+  const source = entry.type === 'console' ? entry.level : entry.type;
+  const location = entry.location ? ` (${entry.location})` : '';
+  return `${time} [${source}] ${entry.text}${location}`;
+}
+
+/**
+ * Count entries per level
+ *
+ * @returns {{ total: number, error: number, warning: number, info: number, debug: number }}
+ */
+export function countEntries(entries) {
+  const counts = { total: entries.length, error: 0, warning: 0, info: 0, debug: 0 };
+  for (const entry of entries) counts[entry.level]++;
+  return counts;
+}
+
+export class ConsoleCollector {
+  /**
+   * @param {object} options - { limit: buffer size, onEntry: called with each new entry }
+   */
+  constructor(options = {}) {
+    this.limit = options.limit ?? MAX_ENTRIES;
+    this.onEntry = options.onEntry ?? null;
+    this.startedAt = new Date().toISOString();
+    this.entries = [];
+    this.lastId = 0;
+    this._contexts = new Map();
+  }
+
+  /**
+   * Listen to a browser context (no-op if already attached)
+   */
+  attach(context) {
+    if (this._contexts.has(context)) return;
+    const listeners = {
+      console: msg => {
+        const { url, lineNumber, columnNumber } = msg.location() || {};
+        this._add({
+          type: 'console',
+          level: messageLevel(msg.type()),
+          text: msg.text(),
+          url: pageUrl(msg.page()),
+          location: url ? `${url}:${lineNumber + 1}:${columnNumber + 1}` : undefined
+        });
+      },
+      weberror: webError => {
+        const error = webError.error();
+        this._add({
+          type: 'pageerror',
+          level: 'error',
+          text: error?.message || String(error),
+          url: pageUrl(webError.page()),
+          stack: error?.stack
+        });
+      },
+      requestfailed: request => {
+        const errorText = request.failure()?.errorText || 'failed';
+        let page = null;
+        try {
+          page = request.frame().page();
+        } catch {
+          // Service worker requests have no frame
+        }
+        this._add({
+          type: 'requestfailed',
+          level: EXPECTED_FAILURES.includes(errorText) ? 'warning' : 'error',
+          text: `${request.method()} ${request.url()} — ${errorText}`,
+          url: pageUrl(page)
+        });
+      }
+    };
+    for (const [event, listener] of Object.entries(listeners)) context.on(event, listener);
+    this._contexts.set(context, listeners);
+  }
+
+  /**
+   * Stop listening to all contexts
+   */
+  detach() {
+    for (const [context, listeners] of this._contexts) {
+      for (const [event, listener] of Object.entries(listeners)) context.off(event, listener);
+    }
+    this._contexts.clear();
+  }
+
+  clear() {
+    const cleared = this.entries.length;
+    this.entries = [];
+    return cleared;
+  }
+
+  _add(fields) {
+    const entry = { id: ++this.lastId, time: new Date().toISOString(), ...fields };
+    for (const key of Object.keys(entry)) {
+      if (entry[key] === undefined) delete entry[key];
+    }
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) this.entries.shift();
+    this.onEntry?.(entry);
+  }
+}
+
+function pageUrl(page) {
+  try {
+    return page?.url() || undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Write entries as JSON Lines
+ *
+ * @returns {string} Path written
+ */
+export function writeConsoleLog(entries, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, entries.map(e => JSON.stringify(e)).join('\n') + (entries.length ? '\n' : ''));
+  return file;
+}
+
+/**
+ * Read a JSON Lines console log (skips malformed lines)
+ */
+export function readConsoleLog(file) {
+  const entries = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Truncated line from an interrupted write
+    }
+  }
+  return entries;
+}
@@ -0,0 +1,186 @@
+/**
+ * Datasets — data-driven sequence runs
+ *
+ * `run <name> --data rows.csv` runs a sequence once per row of a CSV,
+ * JSON (array of objects) or JSONL file, with the row's columns as
+ * variables (coerced to their declared types like --var values). A
+ * summary report with each row's outcome and outputs is written to
+ * LOGS_DIR/data-runs/; every row also gets its own run log.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { LOGS_DIR } from './config.js';
+import { loadSequence, runSequence } from './sequence.js';
+import { redactVariables, runId } from './runs.js';
+import { BrowserError } from './errors.js';
+
+export const DATA_RUNS_DIR = path.join(LOGS_DIR, 'data-runs');
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, newlines in quotes)
+ *
+ * @returns {string[][]} Records, blank lines skipped
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error('unterminated quoted field');
+  if (field !== '' || record.length > 0) endRecord();
+  return records;
+}
+
+/**
+ * Rows of a CSV file as objects keyed by the header row.
+ * Empty cells are left out, so variable defaults apply.
+ */
+function csvRows(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) return [];
+  const columns = header.map(name => name.trim());
+  const duplicate = columns.find((name, i) => name && columns.indexOf(name) !== i);
+  if (duplicate) throw new Error(`duplicate column "${duplicate}"`);
+
+  return records.map(record => {
+    const row = {};
+    columns.forEach((name, i) => {
+      if (name && record[i] !== undefined && record[i] !== '') row[name] = record[i];
+    });
+    return row;
+  });
+}
+
+/**
+ * Check JSON rows are objects and drop null values
+ */
+function objectRows(rows) {
+  return rows.map((row, i) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) throw new Error(`row ${i + 1} is not an object`);
+    return Object.fromEntries(Object.entries(row).filter(([, value]) => value !== null));
+  });
+}
+
+/**
+ * Load a dataset file: .csv (header row), .json (array of objects) or
+ * .jsonl/.ndjson (one object per line)
+ *
+ * @returns {object[]} Variables per row
+ */
+export function loadDataset(file) {
+  if (!fs.existsSync(file)) throw new BrowserError(`Data file not found: ${file}`, 'FILE_NOT_FOUND', { file });
+  const text = fs.readFileSync(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+
+  let rows;
+  try {
+    if (ext === '.csv') {
+      rows = csvRows(text);
+    } else if (ext === '.json') {
+      const data = JSON.parse(text);
+      if (!Array.isArray(data)) throw new Error('expected an array of objects');
+      rows = objectRows(data);
+    } else if (ext === '.jsonl' || ext === '.ndjson') {
+      rows = objectRows(text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line)));
+    } else {
+      throw new BrowserError(`Unsupported data file: ${file} (expected .csv, .json or .jsonl)`, 'INVALID_ARGUMENT', { file });
+    }
+  } catch (err) {
+    if (err instanceof BrowserError) throw err;
+    throw new BrowserError(`Invalid data file ${file}: ${err.message}`, 'INVALID_ARGUMENT', { file });
+  }
+  if (rows.length === 0) throw new BrowserError(`Data file has no rows: ${file}`, 'INVALID_ARGUMENT', { file });
+  return rows;
+}
+
+/**
+ * Run a sequence once per dataset row and write a summary report
+ *
+ * @param {string} name - Sequence name
+ * @param {object[]} rows - Variables per row (see loadDataset)
+ * @param {object} options - { variables: shared by every row (row values win), browserOpts,
+ *   runOptions: passed to runSequence, continueOnError: keep going after a failed row,
+ *   file: dataset path for the report, onRow: called with each row's entry, dir: report directory }
+ * @param {Function} [run] - Runs one row; runSequence's signature
+ * @returns {Promise<object>} The report: counts, per-row success, error, outputs and run id, and its file
+ */
+export async function runDataset(name, rows, options = {}, run = runSequence) {
+  const sequence = loadSequence(name);
+  const startedAt = new Date();
+  const entries = [];
+
+  for (let i = 0; i < rows.length; i++) {
+    const variables = { ...options.variables, ...rows[i] };
+    const started = Date.now();
+    let result;
+    try {
+      result = await run(name, variables, options.browserOpts, options.runOptions);
+    } catch (err) {
+      result = { success: false, error: err.message };
+    }
+    const entry = {
+      row: i + 1,
+      success: result.success,
+      error: result.error,
+      variables: redactVariables(variables, sequence.variables),
+      outputs: result.outputs,
+      run: result.run?.id,
+      duration: Date.now() - started
+    };
+    entries.push(entry);
+    options.onRow?.(entry, rows.length);
+    if (!result.success && !options.continueOnError) break;
+  }
+
+  const passed = entries.filter(entry => entry.success).length;
+  const report = {
+    sequence: sequence.name || name,
+    data: options.file,
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    total: rows.length,
+    passed,
+    failed: entries.length - passed,
+    skipped: rows.length - entries.length,
+    rows: entries
+  };
+
+  const dir = options.dir ?? DATA_RUNS_DIR;
+  fs.mkdirSync(dir, { recursive: true });
+  report.file = path.join(dir, `${runId(report.sequence, startedAt)}.json`);
+  fs.writeFileSync(report.file, JSON.stringify(report, null, 2) + '\n');
+  return report;
+}
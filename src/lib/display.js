@@ -12,7 +12,7 @@ import crypto from 'node:crypto';
 import { promisify } from 'node:util';
 import fs from 'node:fs';
 import path from 'node:path';
-import { getConfig, DATA_DIR, ZYLOS_DIR } from './config.js';
+import { getConfig, DATA_DIR, ZYLOS_DIR, DOWNLOADS_DIR } from './config.js';
 
 const execFile = promisify(execFileCb);
 
@@ -131,6 +131,45 @@ export function findChromeBinary() {
   return null;
 }
 
+/**
+ * Point the Chrome profile's default download directory at DOWNLOADS_DIR
+ * and turn off the save-as prompt. Chrome rewrites Preferences on exit,
+ * so this must run while Chrome is stopped.
+ *
+ * A Preferences file that can't be read or parsed is left alone; downloads
+ * are then only directed over CDP (Browser.setDownloadBehavior, see downloads.js).
+ *
+ * @param {string} profileDir - Chrome user-data-dir
+ * @param {string} downloadsDir - Directory for downloads
+ * @returns {boolean} Whether the preferences were written
+ */
+export function configureDownloadPreferences(profileDir, downloadsDir = DOWNLOADS_DIR) {
+  const prefsPath = path.join(profileDir, 'Default', 'Preferences');
+  let prefs;
+  try {
+    prefs = JSON.parse(fs.readFileSync(prefsPath, 'utf-8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`[display] Leaving ${prefsPath} unchanged (${err.message}); downloads are directed over CDP only`);
+      return false;
+    }
+    // New profile
+    prefs = {};
+  }
+  prefs.download = {
+    ...prefs.download,
+    default_directory: downloadsDir,
+    directory_upgrade: true,
+    prompt_for_download: false
+  };
+  prefs.savefile = { ...prefs.savefile, default_directory: downloadsDir };
+
+  fs.mkdirSync(downloadsDir, { recursive: true });
+  fs.mkdirSync(path.dirname(prefsPath), { recursive: true });
+  fs.writeFileSync(prefsPath, JSON.stringify(prefs));
+  return true;
+}
+
 /**
  * Ensure Chrome is running with CDP enabled via PM2.
  *
@@ -152,9 +191,12 @@ export async function ensureChrome(options = {}) {
     throw new Error('Chrome/Chromium not found. Install with: sudo apt-get install -y chromium-browser');
   }
 
+  const profileDir = path.join(DATA_DIR, 'chrome-profile');
+  configureDownloadPreferences(profileDir);
+
   const chromeArgs = [
     `--remote-debugging-port=${cdpPort}`,
-    `--user-data-dir=${path.join(DATA_DIR, 'chrome-profile')}`,
+    `--user-data-dir=${profileDir}`,
     '--no-first-run',
     '--test-type',
     '--no-default-browser-check',
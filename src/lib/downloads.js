@@ -0,0 +1,205 @@
+/**
+ * Download Tracker — save browser downloads to DOWNLOADS_DIR
+ *
+ * Chrome is told over CDP (Browser.setDownloadBehavior) to write every
+ * download into DOWNLOADS_DIR under a GUID name; the tracker follows the
+ * download events and renames each finished file to its suggested name.
+ * Playwright connections (including agent-browser's) redirect downloads
+ * into their own temp dirs when they connect, so Browser re-applies the
+ * behavior before each command while tracking is on.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { DOWNLOADS_DIR } from './config.js';
+import { BrowserError, TimeoutError } from './errors.js';
+
+/** How far back an unclaimed download still counts for waitFor */
+const DEFAULT_WITHIN = 60000;
+
+/**
+ * A path in dir for name that doesn't overwrite an existing file:
+ * report.csv, report (1).csv, report (2).csv, ...
+ */
+export function uniqueFilePath(dir, name) {
+  const safe = path.basename(name || 'download').replace(/[\\/:*?"<>|]+/g, '_') || 'download';
+  const ext = path.extname(safe);
+  const stem = safe.slice(0, safe.length - ext.length);
+  let candidate = path.join(dir, safe);
+  for (let n = 1; fs.existsSync(candidate); n++) {
+    candidate = path.join(dir, `${stem} (${n})${ext}`);
+  }
+  return candidate;
+}
+
+export class DownloadTracker {
+  /**
+   * @param {object} options - { dir: download directory }
+   */
+  constructor(options = {}) {
+    this.dir = options.dir ?? DOWNLOADS_DIR;
+    this.downloads = [];
+    this.lastId = 0;
+    this._byGuid = new Map();
+    this._waiters = new Set();
+    this._session = null;
+  }
+
+  /**
+   * Follow download events of a browser-level CDP session
+   */
+  attach(session) {
+    this._session = session;
+    session.on('Browser.downloadWillBegin', event => this._begin(event));
+    session.on('Browser.downloadProgress', event => this._progress(event));
+  }
+
+  detach() {
+    this._session = null;
+  }
+
+  get attached() {
+    return this._session !== null;
+  }
+
+  /**
+   * (Re)apply the download behavior to Chrome
+   */
+  async arm() {
+    if (!this._session) return;
+    fs.mkdirSync(this.dir, { recursive: true });
+    await this._session.send('Browser.setDownloadBehavior', {
+      behavior: 'allowAndName',
+      downloadPath: this.dir,
+      eventsEnabled: true
+    });
+  }
+
+  _begin({ guid, url, suggestedFilename }) {
+    const download = {
+      id: ++this.lastId,
+      guid,
+      url,
+      name: suggestedFilename,
+      state: 'inProgress',
+      startedAt: Date.now(),
+      claimed: false
+    };
+    this.downloads.push(download);
+    this._byGuid.set(guid, download);
+    this._notify();
+  }
+
+  _progress({ guid, state, totalBytes, receivedBytes }) {
+    const download = this._byGuid.get(guid);
+    if (!download || download.state !== 'inProgress') return;
+    download.size = receivedBytes ?? totalBytes;
+    if (state === 'inProgress') return;
+
+    const partial = path.join(this.dir, guid);
+    if (state === 'completed') {
+      try {
+        const file = uniqueFilePath(this.dir, download.name);
+        fs.renameSync(partial, file);
+        download.file = file;
+        download.name = path.basename(file);
+        download.state = 'completed';
+      } catch (err) {
+        download.state = 'failed';
+        download.error = err.message;
+      }
+    } else {
+      download.state = 'canceled';
+      fs.rmSync(partial, { force: true });
+    }
+    download.finishedAt = Date.now();
+    this._byGuid.delete(guid);
+    this._notify();
+  }
+
+  _notify() {
+    for (const waiter of this._waiters) waiter();
+  }
+
+  /**
+   * Wait for a download and claim it. Returns the oldest unclaimed
+   * download that started within `within` ms (so a download triggered
+   * just before the call counts), otherwise the next one to start.
+   *
+   * @param {object} options - { timeout, within }
+   * @returns {Promise<object>} { id, file, name, url, size }
+   */
+  waitFor(options = {}) {
+    const timeout = options.timeout ?? 30000;
+    const since = Date.now() - (options.within ?? DEFAULT_WITHIN);
+
+    return new Promise((resolve, reject) => {
+      let timer;
+      const check = () => {
+        const download = this.downloads.find(d => !d.claimed && d.startedAt >= since);
+        if (!download || download.state === 'inProgress') return;
+        download.claimed = true;
+        finish();
+        if (download.state === 'completed') {
+          resolve(describeDownload(download));
+        } else {
+          reject(new BrowserError(
+            `Download ${download.state}: ${download.name}${download.error ? ` (${download.error})` : ''}`,
+            'DOWNLOAD_FAILED',
+            describeDownload(download)
+          ));
+        }
+      };
+      const finish = () => {
+        clearTimeout(timer);
+        this._waiters.delete(check);
+      };
+      timer = setTimeout(() => {
+        finish();
+        const pending = this.downloads.find(d => !d.claimed && d.state === 'inProgress');
+        reject(new TimeoutError(
+          pending
+            ? `Timed out after ${timeout}ms waiting for download to finish: ${pending.name}`
+            : `Timed out after ${timeout}ms waiting for a download`,
+          { timeout, pending: pending ? describeDownload(pending) : null }
+        ));
+      }, timeout);
+      this._waiters.add(check);
+      check();
+    });
+  }
+}
+
+function describeDownload(download) {
+  const { id, file, name, url, size, state } = download;
+  return { id, file: file ?? null, name, url, size: size ?? null, state };
+}
+
+/**
+ * Files in the downloads directory, newest first
+ * (skips GUID-named files of downloads still in progress)
+ *
+ * @returns {{ name: string, file: string, size: number, modified: string }[]}
+ */
+export function listDownloads(dir = DOWNLOADS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(entry.name))
+    .map(entry => {
+      const file = path.join(dir, entry.name);
+      const stat = fs.statSync(file);
+      return { name: entry.name, file, size: stat.size, modified: stat.mtime.toISOString() };
+    })
+    .sort((a, b) => b.modified.localeCompare(a.modified));
+}
+
+/**
+ * Delete downloaded files
+ *
+ * @returns {{ removed: number }}
+ */
+export function clearDownloads(dir = DOWNLOADS_DIR) {
+  const files = listDownloads(dir);
+  for (const { file } of files) fs.rmSync(file, { force: true });
+  return { removed: files.length };
+}
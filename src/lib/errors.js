@@ -9,6 +9,13 @@ export class BrowserError extends Error {
     this.code = code;
     this.details = details;
   }
+
+  /**
+   * Plain-object form used for --json CLI output
+   */
+  toJSON() {
+    return { name: this.name, code: this.code, message: this.message, details: this.details };
+  }
 }
 
 export class TimeoutError extends BrowserError {
@@ -39,3 +46,10 @@ export class DependencyError extends BrowserError {
     this.name = 'DependencyError';
   }
 }
+
+export class SessionError extends BrowserError {
+  constructor(message = 'Browser session is not running. Start it with: zylos-browser session start', details = null) {
+    super(message, 'SESSION_ERROR', details);
+    this.name = 'SessionError';
+  }
+}
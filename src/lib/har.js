@@ -0,0 +1,233 @@
+/**
+ * HAR Recorder — capture page network traffic as HAR 1.2
+ *
+ * Attaches to a Playwright page and records every request with headers,
+ * timings and (optionally) response bodies. Used by `network record`
+ * (through the session daemon) and `run --har`.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { LOGS_DIR } from './config.js';
+
+const PACKAGE = JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+/** Response bodies larger than this are not embedded */
+const MAX_BODY_SIZE = 1024 * 1024;
+
+const TEXT_MIME = /^(text\/|application\/(json|javascript|xml|x-www-form-urlencoded)|[^;]*\+(json|xml))/;
+
+/**
+ * Resolve a HAR output path. Relative paths land in LOGS_DIR.
+ */
+export function resolveHarPath(file) {
+  return path.isAbsolute(file) ? file : path.join(LOGS_DIR, file);
+}
+
+/**
+ * Convert a header map to HAR name/value pairs
+ */
+function toPairs(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Derive HAR timings from Playwright request.timing()
+ * (all values relative to startTime, -1 when unavailable)
+ */
+export function harTimings(timing) {
+  if (!timing) {
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: -1, receive: -1 };
+  }
+  const span = (start, end) => (start >= 0 && end >= start ? end - start : -1);
+  const connectEnd = timing.connectEnd;
+  const blockedEnd = [timing.domainLookupStart, timing.connectStart, timing.requestStart].find(t => t >= 0);
+
+  return {
+    blocked: blockedEnd !== undefined ? blockedEnd : -1,
+    dns: span(timing.domainLookupStart, timing.domainLookupEnd),
+    connect: span(timing.connectStart, connectEnd),
+    ssl: span(timing.secureConnectionStart, connectEnd),
+    send: 0,
+    wait: span(timing.requestStart, timing.responseStart),
+    receive: span(timing.responseStart, timing.responseEnd)
+  };
+}
+
+/**
+ * Build a HAR entry from a plain record of one request
+ *
+ * @param {object} record - { startedDateTime, method, url, requestHeaders, postData,
+ *   resourceType, status, statusText, responseHeaders, body, bodyEncoding, timing, sizes, failure }
+ * @returns {object} HAR entry
+ */
+export function buildHarEntry(record) {
+  const timings = harTimings(record.timing);
+  // ssl is already included in connect per the HAR spec
+  const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+    .reduce((sum, key) => sum + Math.max(timings[key], 0), 0);
+
+  let queryString = [];
+  try {
+    queryString = [...new URL(record.url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    // Non-standard URL (data:, blob:) — no query string
+  }
+
+  const requestHeaders = record.requestHeaders || {};
+  const responseHeaders = record.responseHeaders || {};
+  const mimeType = responseHeaders['content-type'] || 'x-unknown';
+  const sizes = record.sizes || {};
+
+  const request = {
+    method: record.method,
+    url: record.url,
+    httpVersion: '',
+    cookies: [],
+    headers: toPairs(requestHeaders),
+    queryString,
+    headersSize: sizes.requestHeadersSize ?? -1,
+    bodySize: sizes.requestBodySize ?? (record.postData ? Buffer.byteLength(record.postData) : 0)
+  };
+  if (record.postData) {
+    request.postData = {
+      mimeType: requestHeaders['content-type'] || 'application/octet-stream',
+      text: record.postData
+    };
+  }
+
+  const content = { size: sizes.responseBodySize ?? -1, mimeType };
+  if (record.body !== undefined) {
+    content.text = record.body;
+    if (record.bodyEncoding) content.encoding = record.bodyEncoding;
+  }
+
+  const entry = {
+    startedDateTime: record.startedDateTime,
+    time,
+    request,
+    response: {
+      status: record.status ?? 0,
+      statusText: record.statusText ?? '',
+      httpVersion: '',
+      cookies: [],
+      headers: toPairs(responseHeaders),
+      content,
+      redirectURL: responseHeaders.location || '',
+      headersSize: sizes.responseHeadersSize ?? -1,
+      bodySize: sizes.responseBodySize ?? -1
+    },
+    cache: {},
+    timings,
+    _resourceType: record.resourceType
+  };
+  if (record.failure) entry._failureText = record.failure;
+  return entry;
+}
+
+/**
+ * Records network traffic of one page
+ */
+export class HarRecorder {
+  /**
+   * @param {object} options - { bodies: embed response bodies, file: intended output path }
+   */
+  constructor(options = {}) {
+    this.bodies = Boolean(options.bodies);
+    this.file = options.file ?? null;
+    this.startedAt = new Date().toISOString();
+    this.entries = [];
+    this._page = null;
+    this._pending = new Set();
+    this._onFinished = request => this._track(this._record(request));
+    this._onFailed = request => this._track(this._record(request, request.failure()?.errorText || 'failed'));
+  }
+
+  attach(page) {
+    this._page = page;
+    page.on('requestfinished', this._onFinished);
+    page.on('requestfailed', this._onFailed);
+  }
+
+  /**
+   * Stop listening and wait for in-flight records to complete
+   */
+  async detach() {
+    if (this._page) {
+      this._page.off('requestfinished', this._onFinished);
+      this._page.off('requestfailed', this._onFailed);
+      this._page = null;
+    }
+    await Promise.allSettled([...this._pending]);
+  }
+
+  _track(promise) {
+    this._pending.add(promise);
+    // A request that can no longer be read (its page closed) is left out of the HAR
+    promise.catch(() => {}).finally(() => this._pending.delete(promise));
+  }
+
+  async _record(request, failure) {
+    const timing = request.timing();
+    const record = {
+      startedDateTime: new Date(timing?.startTime || Date.now()).toISOString(),
+      method: request.method(),
+      url: request.url(),
+      resourceType: request.resourceType(),
+      postData: request.postData() ?? undefined,
+      requestHeaders: await request.allHeaders().catch(() => request.headers()),
+      timing,
+      failure
+    };
+
+    const response = failure ? null : await request.response().catch(() => null);
+    if (response) {
+      record.status = response.status();
+      record.statusText = response.statusText();
+      record.responseHeaders = await response.allHeaders().catch(() => response.headers());
+      record.sizes = await request.sizes().catch(() => undefined);
+
+      if (this.bodies) {
+        const body = await response.body().catch(() => null);
+        if (body && body.length <= MAX_BODY_SIZE) {
+          const mime = record.responseHeaders['content-type'] || '';
+          if (TEXT_MIME.test(mime)) {
+            record.body = body.toString('utf8');
+          } else {
+            record.body = body.toString('base64');
+            record.bodyEncoding = 'base64';
+          }
+        }
+      }
+    }
+
+    this.entries.push(buildHarEntry(record));
+  }
+
+  /**
+   * @returns {object} HAR 1.2 document
+   */
+  toHar() {
+    const entries = [...this.entries].sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: PACKAGE.name, version: PACKAGE.version },
+        pages: [],
+        entries
+      }
+    };
+  }
+}
+
+/**
+ * Write a HAR document to disk
+ *
+ * @returns {string} Absolute path written
+ */
+export function writeHar(har, file) {
+  const outPath = resolveHarPath(file);
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, JSON.stringify(har, null, 2));
+  return outPath;
+}
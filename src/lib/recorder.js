@@ -0,0 +1,322 @@
+/**
+ * Sequence Recorder — turn live interaction into a sequence file
+ *
+ * A script injected into every page of the context reports clicks, text
+ * entry, selects and key presses with the element's accessibility role
+ * and name (the pair findElement matches on); main-frame navigations that
+ * no interaction caused become navigate steps. Used by `record start|stop`
+ * through the session daemon, so someone on VNC can demonstrate a flow.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { SEQUENCES_DIR, LOGS_DIR } from './config.js';
+import { extractDomain } from './knowledge.js';
+
+const BINDING = '__zylosRecord';
+
+/** A navigation this soon after an interaction is taken as its result */
+const NAVIGATION_GRACE = 2000;
+
+/**
+ * Runs in the page: report interactions to the binding.
+ * Must be self-contained — it is serialized into an init script.
+ */
+function pageRecorder(binding) {
+  if (window.__zylosRecorder) return;
+  window.__zylosRecorder = true;
+
+  const INTERACTIVE = new Set([
+    'button', 'link', 'textbox', 'searchbox', 'combobox', 'listbox', 'option', 'checkbox', 'radio',
+    'switch', 'slider', 'spinbutton', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab', 'treeitem'
+  ]);
+  const TEXT_ENTRY = new Set(['textbox', 'searchbox', 'combobox', 'spinbutton']);
+  const CANDIDATES = 'a[href],button,input,select,textarea,[role],[contenteditable]';
+  const lastValue = new WeakMap();
+
+  const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+
+  const roleOf = el => {
+    const explicit = el.getAttribute('role');
+    if (explicit) return explicit.trim().split(/\s+/)[0];
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    switch (el.tagName) {
+      case 'A': return el.hasAttribute('href') ? 'link' : null;
+      case 'BUTTON': return 'button';
+      case 'SELECT': return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+      case 'TEXTAREA': return 'textbox';
+      case 'INPUT':
+        if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+        if (type === 'checkbox' || type === 'radio') return type;
+        if (type === 'range') return 'slider';
+        if (type === 'number') return 'spinbutton';
+        if (type === 'search') return el.list ? 'combobox' : 'searchbox';
+        if (['', 'text', 'email', 'password', 'tel', 'url'].includes(type)) return el.list ? 'combobox' : 'textbox';
+        return null;
+    }
+    return el.isContentEditable ? 'textbox' : null;
+  };
+
+  // Candidate accessible names, best first
+  const namesOf = el => {
+    const names = [];
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      names.push(labelledBy.split(/\s+/).map(id => clean(document.getElementById(id)?.textContent)).join(' '));
+    }
+    names.push(el.getAttribute('aria-label'));
+    for (const label of el.labels || []) names.push(label.textContent);
+    const role = roleOf(el);
+    if (!TEXT_ENTRY.has(role) && role !== 'listbox') {
+      if (el.tagName === 'INPUT') names.push(el.value || el.getAttribute('alt'));
+      else names.push(el.innerText || el.textContent);
+      names.push(el.querySelector('img[alt]')?.getAttribute('alt'));
+    }
+    names.push(el.getAttribute('title'), el.getAttribute('placeholder'));
+    return [...new Set(names.map(clean).filter(Boolean))];
+  };
+
+  const describe = el => {
+    const role = roleOf(el);
+    const [name = '', ...alternatives] = namesOf(el);
+    const same = [...document.querySelectorAll(CANDIDATES)]
+      .filter(c => roleOf(c) === role && (namesOf(c)[0] || '') === name);
+    return { role, name, alternatives, nth: Math.max(0, same.indexOf(el)) };
+  };
+
+  // Nearest element (self or ancestor) with an interactive role
+  const interactive = node => {
+    for (let el = node instanceof Element ? node : node?.parentElement; el; el = el.parentElement) {
+      if (INTERACTIVE.has(roleOf(el))) return el;
+    }
+    return null;
+  };
+
+  const valueOf = el => (el.isContentEditable ? el.innerText : el.value);
+  const isTextEntry = el => TEXT_ENTRY.has(roleOf(el)) && el.tagName !== 'SELECT';
+
+  const send = event => {
+    try {
+      window[binding](event);
+    } catch {
+      // Binding gone (recording context closed) — nothing to report to
+    }
+  };
+
+  const flushFill = el => {
+    const value = valueOf(el);
+    if (lastValue.get(el) === value) return;
+    lastValue.set(el, value);
+    send({ type: 'fill', ...describe(el), value, secret: el.type === 'password' });
+  };
+
+  document.addEventListener('focusin', e => {
+    const el = interactive(e.target);
+    if (el && isTextEntry(el) && !lastValue.has(el)) lastValue.set(el, valueOf(el));
+  }, true);
+
+  document.addEventListener('click', e => {
+    const el = interactive(e.target);
+    // Text fields and selects are recorded by their value, not the click into them
+    if (!el || isTextEntry(el) || el.tagName === 'SELECT' || el.tagName === 'OPTION') return;
+    send({ type: 'click', ...describe(el) });
+  }, true);
+
+  document.addEventListener('change', e => {
+    const el = interactive(e.target);
+    if (!el) return;
+    if (el.tagName === 'SELECT') {
+      const labels = [...el.selectedOptions].map(o => clean(o.label || o.textContent));
+      send({ type: 'select', ...describe(el), value: labels.join(', ') });
+    } else if (isTextEntry(el)) {
+      flushFill(el);
+    }
+  }, true);
+
+  document.addEventListener('focusout', e => {
+    const el = interactive(e.target);
+    if (el && isTextEntry(el)) flushFill(el);
+  }, true);
+
+  document.addEventListener('keydown', e => {
+    if (e.key !== 'Enter' && e.key !== 'Escape') return;
+    const el = interactive(e.target);
+    if (e.key === 'Enter' && !(el && isTextEntry(el))) return;
+    // The value is committed before the key takes effect
+    if (el && isTextEntry(el)) flushFill(el);
+    send({ type: 'keypress', key: e.key });
+  }, true);
+}
+
+const INIT_SCRIPT = `(${pageRecorder})(${JSON.stringify(BINDING)});`;
+
+/** Contexts that already have the binding and init script (neither can be removed) */
+const prepared = new WeakSet();
+/** Contexts that have the binding, which can't be exposed twice */
+const bound = new WeakSet();
+/** Recorder currently receiving each context's events */
+const recorders = new WeakMap();
+
+/**
+ * Variable name for a secret field, from its accessible name
+ */
+function secretVariable(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return slug && /password|passcode|pin|secret/.test(slug) ? slug : 'password';
+}
+
+/**
+ * Sequence step for a reported interaction
+ */
+export function stepFromEvent(event) {
+  if (event.type === 'keypress') return { action: 'keypress', key: event.key };
+
+  const target = event.name ? { role: event.role, name: event.name } : { role: event.role };
+  if (event.nth > 0) target.nth = event.nth;
+  const step = { action: event.type, target };
+  if (event.alternatives?.length) {
+    step.fallback_targets = event.alternatives.map(name => ({ role: event.role, name }));
+  }
+  if (event.type === 'fill' || event.type === 'select') {
+    step.value = event.secret ? `{{${secretVariable(event.name)}}}` : event.value;
+  }
+  return step;
+}
+
+/**
+ * Where a recorded sequence is saved: SEQUENCES_DIR/<domain>/<name>.json
+ */
+export function recordedSequencePath(name, url) {
+  return path.join(SEQUENCES_DIR, extractDomain(url) || 'local', `${name}.json`);
+}
+
+/**
+ * Where a recording that doesn't validate is kept for fixing by hand:
+ * LOGS_DIR/recordings/<name>-<timestamp>.json, out of reach of `run`
+ */
+export function rejectedRecordingPath(name) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return path.join(LOGS_DIR, 'recordings', `${name}-${stamp}.json`);
+}
+
+/**
+ * Write a sequence file, creating its domain directory
+ */
+export function writeSequence(sequence, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(sequence, null, 2) + '\n');
+  return file;
+}
+
+export class SequenceRecorder {
+  /**
+   * @param {object} options - { name, url: page URL at start, file }
+   */
+  constructor(options) {
+    this.name = options.name;
+    this.startUrl = options.url;
+    this.file = options.file ?? recordedSequencePath(options.name, options.url);
+    this.startedAt = new Date().toISOString();
+    this.steps = [{ action: 'navigate', url: options.url }];
+    this.secrets = new Set();
+    this._lastUrl = options.url;
+    this._lastActionAt = 0;
+    // Listeners to remove on detach: context → 'page', page → 'framenavigated'
+    this._contexts = new Map();
+    this._pages = new Map();
+  }
+
+  /**
+   * Start receiving a BrowserContext's interactions and navigations
+   */
+  async attach(context) {
+    if (this._contexts.has(context)) return;
+    recorders.set(context, this);
+
+    if (!prepared.has(context)) {
+      if (!bound.has(context)) {
+        await context.exposeBinding(BINDING, (source, event) => {
+          // Iframe content isn't addressable by the snapshot refs steps use
+          if (source.frame !== source.page.mainFrame()) return;
+          recorders.get(context)?.record(event);
+        });
+        bound.add(context);
+      }
+      await context.addInitScript(INIT_SCRIPT);
+      prepared.add(context);
+      // Pages already open missed the init script
+      await Promise.all(context.pages().map(page => page.evaluate(INIT_SCRIPT).catch(() => {})));
+    }
+
+    const onPage = page => this._watch(page);
+    context.on('page', onPage);
+    this._contexts.set(context, onPage);
+    for (const page of context.pages()) this._watch(page);
+  }
+
+  _watch(page) {
+    if (this._pages.has(page)) return;
+    const onNavigated = frame => {
+      if (frame === page.mainFrame()) this.navigated(frame.url());
+    };
+    page.on('framenavigated', onNavigated);
+    this._pages.set(page, onNavigated);
+  }
+
+  detach() {
+    for (const [page, listener] of this._pages) page.off('framenavigated', listener);
+    for (const [context, listener] of this._contexts) {
+      context.off('page', listener);
+      if (recorders.get(context) === this) recorders.delete(context);
+    }
+    this._pages.clear();
+    this._contexts.clear();
+  }
+
+  /**
+   * Add a step for an interaction reported by the page
+   */
+  record(event) {
+    this._lastActionAt = Date.now();
+    const step = stepFromEvent(event);
+    if (event.secret) this.secrets.add(step.value.slice(2, -2));
+
+    // Typing into the same field again only changes its final value
+    const last = this.steps[this.steps.length - 1];
+    if (step.action === 'fill' && last?.action === 'fill' && JSON.stringify(last.target) === JSON.stringify(step.target)) {
+      last.value = step.value;
+      return;
+    }
+    this.steps.push(step);
+  }
+
+  /**
+   * Add a navigate step for a main-frame navigation no interaction caused
+   */
+  navigated(url) {
+    if (url === this._lastUrl || url === 'about:blank') return;
+    this._lastUrl = url;
+    if (Date.now() - this._lastActionAt < NAVIGATION_GRACE) return;
+    const last = this.steps[this.steps.length - 1];
+    if (last?.action === 'navigate') last.url = url;
+    else this.steps.push({ action: 'navigate', url });
+  }
+
+  /**
+   * The recording as sequence JSON
+   */
+  toSequence() {
+    const sequence = {
+      name: this.name,
+      domain: extractDomain(this.startUrl) || undefined,
+      description: `Recorded from ${this.startUrl} on ${this.startedAt.slice(0, 10)}`
+    };
+    if (this.secrets.size > 0) {
+      sequence.variables = Object.fromEntries([...this.secrets].map(name => [
+        name, { type: 'secret', required: true, description: 'Recorded from a password field' }
+      ]));
+    }
+    sequence.steps = this.steps;
+    return sequence;
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Network Rules — declarative request blocking and mocking
+ *
+ * A rule set is a named, ordered list of rules applied to a page via
+ * Browser.interceptNetwork. The first matching rule wins, except
+ * "headers" rules, which rewrite the request and let later rules see it.
+ *
+ * Rule sets live in RULES_DIR/<name>.json or in config.json under
+ * network.rules.<name>. Sequences reference them with "rules"; sets with
+ * "domains" are also applied whenever a page of those domains (or their
+ * subdomains) is opened, and removed when a page elsewhere is.
+ *
+ * {
+ *   "name": "stub-api",
+ *   "domains": ["shop.example.com"],
+ *   "rules": [
+ *     { "match": "**\/*.{png,jpg,gif,mp4}", "action": "block" },
+ *     { "match": "**\/collect*", "resource_types": ["xhr", "fetch"], "action": "block" },
+ *     { "match": "**\/api/items*", "action": "fulfill", "file": "fixtures/items.json" },
+ *     { "match": "**\/api/**", "action": "headers", "set": { "x-env": "test" }, "remove": ["cookie"] }
+ *   ]
+ * }
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { RULES_DIR, getConfig } from './config.js';
+import { BrowserError } from './errors.js';
+import { hostMatchesDomain } from './state.js';
+
+export const RULE_ACTIONS = ['block', 'allow', 'fulfill', 'headers'];
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.js': 'application/javascript',
+  '.css': 'text/css',
+  '.txt': 'text/plain',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Validate a rule set
+ *
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateRuleSet(ruleSet) {
+  const errors = [];
+  if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+    return { valid: false, errors: ['Missing "rules" array'] };
+  }
+  if (ruleSet.domains !== undefined &&
+      !(Array.isArray(ruleSet.domains) && ruleSet.domains.every(d => typeof d === 'string' && d))) {
+    errors.push('"domains" must be an array of domain names');
+  }
+
+  ruleSet.rules.forEach((rule, i) => {
+    if (!rule.match || typeof rule.match !== 'string') {
+      errors.push(`Rule ${i}: missing "match" URL pattern`);
+    }
+    if (!RULE_ACTIONS.includes(rule.action)) {
+      errors.push(`Rule ${i}: unknown action "${rule.action}" (expected ${RULE_ACTIONS.join(', ')})`);
+    }
+    if (rule.resource_types !== undefined && !Array.isArray(rule.resource_types)) {
+      errors.push(`Rule ${i}: "resource_types" must be an array`);
+    }
+    if (rule.action === 'fulfill' && rule.file === undefined && rule.body === undefined) {
+      errors.push(`Rule ${i}: "fulfill" requires "file" or "body"`);
+    }
+    if (rule.action === 'headers' && !rule.set && !rule.remove) {
+      errors.push(`Rule ${i}: "headers" requires "set" or "remove"`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Load a rule set by name from RULES_DIR or config.json
+ */
+export function loadRuleSet(name) {
+  if (name.includes('..') || name.includes('/') || path.isAbsolute(name)) {
+    throw new BrowserError(`Invalid rule set name: ${name}`, 'INVALID_RULES');
+  }
+
+  let ruleSet = null;
+  const filePath = path.join(RULES_DIR, `${name}.json`);
+  if (fs.existsSync(filePath)) {
+    try {
+      ruleSet = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      throw new BrowserError(`Invalid rule set ${filePath}: ${err.message}`, 'INVALID_RULES', { name });
+    }
+  } else {
+    ruleSet = getConfig().network?.rules?.[name] ?? null;
+  }
+
+  if (!ruleSet) {
+    throw new BrowserError(`Rule set not found: ${name}`, 'RULES_NOT_FOUND', { name });
+  }
+
+  const { valid, errors } = validateRuleSet(ruleSet);
+  if (!valid) {
+    throw new BrowserError(`Invalid rule set "${name}": ${errors.join('; ')}`, 'INVALID_RULES', { name, errors });
+  }
+  return { ...ruleSet, name: ruleSet.name || name };
+}
+
+/**
+ * Rule sets whose "domains" cover a host, from RULES_DIR and config.json
+ * (a file wins over a config entry of the same name)
+ *
+ * @param {string} host - Host of the page being opened
+ * @returns {object[]} Validated rule sets, in name order
+ */
+export function domainRuleSets(host) {
+  const candidates = { ...getConfig().network?.rules };
+  if (fs.existsSync(RULES_DIR)) {
+    for (const file of fs.readdirSync(RULES_DIR).filter(f => f.endsWith('.json'))) {
+      try {
+        candidates[file.replace(/\.json$/, '')] = JSON.parse(fs.readFileSync(path.join(RULES_DIR, file), 'utf8'));
+      } catch {
+        // Unreadable files can't declare domains; applying them by name reports the error
+      }
+    }
+  }
+  return Object.keys(candidates).sort()
+    .filter(name => Array.isArray(candidates[name]?.domains) &&
+      candidates[name].domains.some(domain => typeof domain === 'string' && hostMatchesDomain(host, domain)))
+    .map(name => loadRuleSet(name));
+}
+
+/**
+ * List rule sets from RULES_DIR and config.json
+ *
+ * @returns {{ name: string, source: string, description?: string, domains?: string[], rules: number }[]}
+ */
+export function listRuleSets() {
+  const sets = [];
+  if (fs.existsSync(RULES_DIR)) {
+    for (const file of fs.readdirSync(RULES_DIR).filter(f => f.endsWith('.json'))) {
+      try {
+        const ruleSet = JSON.parse(fs.readFileSync(path.join(RULES_DIR, file), 'utf8'));
+        sets.push({
+          name: file.replace(/\.json$/, ''),
+          source: 'file',
+          description: ruleSet.description,
+          domains: ruleSet.domains,
+          rules: ruleSet.rules?.length ?? 0
+        });
+      } catch {
+        // Skip invalid JSON
+      }
+    }
+  }
+  for (const [name, ruleSet] of Object.entries(getConfig().network?.rules || {})) {
+    if (sets.some(s => s.name === name)) continue;
+    sets.push({ name, source: 'config', description: ruleSet.description, domains: ruleSet.domains, rules: ruleSet.rules?.length ?? 0 });
+  }
+  return sets;
+}
+
+/**
+ * Read a fixture file relative to the rules directory
+ */
+function readFixture(file, baseDir) {
+  const fixturePath = path.resolve(baseDir, file);
+  const root = path.resolve(baseDir);
+  if (!fixturePath.startsWith(root + path.sep)) {
+    throw new BrowserError(`Fixture path escapes rules directory: ${file}`, 'INVALID_RULES', { file });
+  }
+  if (!fs.existsSync(fixturePath)) {
+    throw new BrowserError(`Fixture not found: ${fixturePath}`, 'FILE_NOT_FOUND', { file: fixturePath });
+  }
+  return fs.readFileSync(fixturePath);
+}
+
+/**
+ * Build a Playwright route handler for one rule.
+ * Fixtures are read once, when the handler is created.
+ *
+ * @param {object} rule - Rule definition
+ * @param {string} baseDir - Directory fixture paths are relative to
+ * @returns {(route: object) => Promise<void>}
+ */
+export function createRouteHandler(rule, baseDir = RULES_DIR) {
+  let body;
+  let contentType = rule.content_type;
+  if (rule.action === 'fulfill') {
+    if (rule.file !== undefined) {
+      body = readFixture(rule.file, baseDir);
+      contentType ??= CONTENT_TYPES[path.extname(rule.file).toLowerCase()];
+    } else if (typeof rule.body === 'string') {
+      body = rule.body;
+    } else {
+      body = JSON.stringify(rule.body);
+      contentType ??= 'application/json';
+    }
+  }
+
+  return async route => {
+    const request = route.request();
+    if (rule.resource_types && !rule.resource_types.includes(request.resourceType())) {
+      return route.fallback();
+    }
+
+    switch (rule.action) {
+      case 'block':
+        return route.abort(rule.error_code || 'blockedbyclient');
+      case 'allow':
+        return route.continue();
+      case 'fulfill':
+        return route.fulfill({
+          status: rule.status ?? 200,
+          headers: rule.headers,
+          contentType,
+          body
+        });
+      case 'headers': {
+        const headers = { ...request.headers() };
+        for (const name of rule.remove || []) delete headers[name.toLowerCase()];
+        for (const [name, value] of Object.entries(rule.set || {})) headers[name.toLowerCase()] = String(value);
+        return route.fallback({ headers });
+      }
+      default:
+        return route.fallback();
+    }
+  };
+}
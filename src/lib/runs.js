@@ -0,0 +1,254 @@
+/**
+ * Run Log — per-run execution records for sequences
+ *
+ * Every sequence run gets a directory LOGS_DIR/runs/<id>/ holding
+ * run.json (sequence, variables with secrets redacted, outcome),
+ * steps.jsonl (one line per finished step, with timings and the ref
+ * each target resolved to), console.jsonl when the console was captured,
+ * and failure artifacts: the snapshot a failing step was matched against
+ * and a screenshot of the page.
+ * Browsed with `runs list|show`.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { LOGS_DIR } from './config.js';
+import { writeConsoleLog } from './console.js';
+import { BrowserError } from './errors.js';
+
+export const RUNS_DIR = path.join(LOGS_DIR, 'runs');
+
+/** Run directories kept when sequences.max_run_logs is not set */
+const DEFAULT_MAX_RUNS = 100;
+
+/**
+ * Variable names treated as secret even when not declared so: a whole
+ * word of the name (user_password, apiKey), not any name containing one
+ * (passengers, bypass_cache, spin)
+ */
+const SECRET_NAME = /(^|_)(pass(word|wd|code)?|secret|token|api_?key|pin|otp)(_|$)/i;
+
+/**
+ * Values shorter than this are not masked in output: "2" or "ab" would be
+ * replaced everywhere (step numbers, URLs), hiding more than they protect
+ */
+const MIN_MASKED_LENGTH = 4;
+
+export const REDACTED = '[redacted]';
+
+/**
+ * Whether a variable holds a secret: declared "type": "secret" or
+ * "secret": true, or named like one (password, api_key, ...)
+ */
+export function isSecretVariable(name, spec) {
+  if (spec?.type === 'secret' || spec?.secret === true) return true;
+  // camelCase and kebab-case names as snake_case words
+  return SECRET_NAME.test(name.replace(/([a-z\d])([A-Z])/g, '$1_$2').replace(/[-.\s]+/g, '_'));
+}
+
+/**
+ * Copy of variables with secret values replaced
+ *
+ * @param {object} variables
+ * @param {object} [specs] - The sequence's variable definitions
+ */
+export function redactVariables(variables, specs = {}) {
+  return Object.fromEntries(Object.entries(variables).map(([key, value]) => [
+    key,
+    isSecretVariable(key, specs[key]) ? REDACTED : value
+  ]));
+}
+
+/**
+ * Replace every occurrence of the secret values (and their URL-encoded
+ * form, as they appear in query strings and form posts) in strings,
+ * arrays and plain objects. Values under MIN_MASKED_LENGTH characters
+ * are left alone; redactVariables still hides them in run.json.
+ *
+ * @param {*} value
+ * @param {string[]} secrets
+ */
+export function maskSecrets(value, secrets) {
+  const needles = [...new Set(secrets.filter(secret => secret?.length >= MIN_MASKED_LENGTH).flatMap(secret => [secret, encodeURIComponent(secret)]))]
+    .sort((a, b) => b.length - a.length);
+  if (needles.length === 0) return value;
+
+  const mask = v => {
+    if (typeof v === 'string') return needles.reduce((text, needle) => text.split(needle).join(REDACTED), v);
+    if (Array.isArray(v)) return v.map(mask);
+    if (v && typeof v === 'object' && Object.getPrototypeOf(v) === Object.prototype) {
+      return Object.fromEntries(Object.entries(v).map(([key, item]) => [key, mask(item)]));
+    }
+    return v;
+  };
+  return mask(value);
+}
+
+/**
+ * Directory-safe run id: 20261019-142301-123-login
+ */
+export function runId(name, date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').slice(0, 19);
+  return `${stamp}-${name.replace(/[^\w.-]+/g, '_')}`;
+}
+
+export class RunLog {
+  /**
+   * Create the run directory and write the initial run.json
+   *
+   * @param {object} options - { sequence: name, variables, specs: variable definitions,
+   *   options: run options worth keeping (from, to, ...), secrets: values to mask
+   *   (the array may grow during the run), dir: runs directory }
+   */
+  constructor(options) {
+    const root = options.dir ?? RUNS_DIR;
+    this.secrets = options.secrets ?? [];
+    this.id = runId(options.sequence);
+    this.dir = path.join(root, this.id);
+    for (let n = 2; fs.existsSync(this.dir); n++) this.dir = path.join(root, `${this.id}-${n}`);
+    this.id = path.basename(this.dir);
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    this.meta = {
+      id: this.id,
+      sequence: options.sequence,
+      startedAt: new Date().toISOString(),
+      variables: redactVariables(options.variables || {}, options.specs),
+      options: options.options || {}
+    };
+    this._writeMeta();
+  }
+
+  _writeMeta() {
+    fs.writeFileSync(path.join(this.dir, 'run.json'), JSON.stringify(maskSecrets(this.meta, this.secrets), null, 2) + '\n');
+  }
+
+  /**
+   * Append a finished step to steps.jsonl
+   */
+  step(entry) {
+    const line = maskSecrets({ time: new Date().toISOString(), ...entry }, this.secrets);
+    fs.appendFileSync(path.join(this.dir, 'steps.jsonl'), JSON.stringify(line) + '\n');
+  }
+
+  /**
+   * Save the snapshot a failing step was matched against
+   *
+   * @returns {string} File name within the run directory
+   */
+  snapshot(stepId, text) {
+    const name = `snapshot-${String(stepId).replace(/[^\w.-]+/g, '_')}.txt`;
+    fs.writeFileSync(path.join(this.dir, name), maskSecrets(text ?? '', this.secrets));
+    return name;
+  }
+
+  /**
+   * Save the console entries captured during the run as console.jsonl
+   *
+   * @returns {string} Path written
+   */
+  consoleLog(entries) {
+    return writeConsoleLog(maskSecrets(entries, this.secrets), path.join(this.dir, 'console.jsonl'));
+  }
+
+  /**
+   * Screenshot the page for a failed run. Never throws — the page may be gone.
+   *
+   * @returns {Promise<string|null>} File name, or null when it could not be taken
+   */
+  async screenshot(browser) {
+    try {
+      await browser.screenshot(path.join(this.dir, 'failure.png'));
+      this.meta.screenshot = 'failure.png';
+      return 'failure.png';
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Record the outcome in run.json
+   */
+  finish(result) {
+    const finishedAt = new Date();
+    Object.assign(this.meta, {
+      finishedAt: finishedAt.toISOString(),
+      duration: finishedAt - new Date(this.meta.startedAt),
+      success: result.success,
+      error: result.error,
+      steps: result.steps?.length ?? 0,
+      outputs: result.outputs,
+      har: result.har,
+      console: result.console
+    });
+    this._writeMeta();
+  }
+}
+
+/**
+ * Delete the oldest run directories beyond max
+ *
+ * @returns {number} Directories removed
+ */
+export function pruneRuns(max = DEFAULT_MAX_RUNS, dir = RUNS_DIR) {
+  if (!fs.existsSync(dir)) return 0;
+  const ids = fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+  const old = ids.slice(0, Math.max(0, ids.length - max));
+  for (const id of old) fs.rmSync(path.join(dir, id), { recursive: true, force: true });
+  return old.length;
+}
+
+function readMeta(runDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(runDir, 'run.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Recorded runs, newest first
+ *
+ * @param {object} options - { sequence: only runs of this sequence, limit }
+ * @returns {object[]} run.json contents
+ */
+export function listRuns(options = {}, dir = RUNS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  const runs = fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort()
+    .reverse()
+    .map(id => readMeta(path.join(dir, id)))
+    .filter(meta => meta && (!options.sequence || meta.sequence === options.sequence));
+  return options.limit ? runs.slice(0, options.limit) : runs;
+}
+
+/**
+ * Load one run: its run.json, step log and artifact files
+ *
+ * @param {string} id - Run id, a unique prefix of one, or "last"
+ * @returns {{ dir: string, run: object, steps: object[], files: string[] }}
+ */
+export function loadRun(id, dir = RUNS_DIR) {
+  const ids = fs.existsSync(dir) ? fs.readdirSync(dir).sort() : [];
+  const matches = id === 'last' ? ids.slice(-1) : ids.filter(name => name === id || name.startsWith(id));
+  const exact = matches.find(name => name === id);
+  if (!exact && matches.length > 1) {
+    throw new BrowserError(`Run id "${id}" is ambiguous: ${matches.slice(0, 5).join(', ')}`, 'INVALID_ARGUMENT', { id, matches });
+  }
+  const match = exact || matches[0];
+  const runDir = match ? path.join(dir, match) : null;
+  const run = runDir && readMeta(runDir);
+  if (!run) throw new BrowserError(`Run not found: ${id}`, 'RUN_NOT_FOUND', { id });
+
+  const stepsFile = path.join(runDir, 'steps.jsonl');
+  const steps = fs.existsSync(stepsFile)
+    ? fs.readFileSync(stepsFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+    : [];
+  const files = fs.readdirSync(runDir).filter(name => name !== 'run.json' && name !== 'steps.jsonl');
+  return { dir: runDir, run, steps, files };
+}
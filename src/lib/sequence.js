@@ -10,59 +10,151 @@
 
 import fs from 'node:fs';
 import path from 'node:path';
-import { SEQUENCES_DIR, getConfig } from './config.js';
-import { Browser } from './browser.js';
+import { SEQUENCES_DIR, getConfig, loadEnv } from './config.js';
+import { createBrowser } from './session.js';
+import { resolveUploadFiles, SELECTOR_TARGETS } from './browser.js';
+import { loadKnowledge } from './knowledge.js';
+import { parseSnapshot, flattenSnapshot, formatNode } from './snapshot.js';
+import { resolveHarPath, writeHar } from './har.js';
+import { parseLevel, filterEntries, countEntries } from './console.js';
+import { analyzeConsole } from './analyzer.js';
+import { RunLog, pruneRuns, isSecretVariable, maskSecrets } from './runs.js';
+import { validateVariableSpec, checkVariables, formatVariableErrors } from './variables.js';
+import { BrowserError, TimeoutError } from './errors.js';
+
+const VALID_ACTIONS = [
+  'click', 'type', 'fill', 'select', 'check', 'uncheck', 'hover', 'drag', 'upload', 'scroll', 'wait', 'wait_for',
+  'screenshot', 'keypress', 'navigate', 'back', 'forward', 'reload', 'switch_tab', 'wait_for_download', 'extract',
+  'assert', 'if', 'repeat', 'while', 'for_each', 'call'
+];
+
+/** Actions that act on a "target" element */
+const TARGET_ACTIONS = ['click', 'type', 'fill', 'select', 'check', 'uncheck', 'hover', 'drag', 'upload'];
+
+/** Target kinds besides role/name matching against the snapshot */
+const TARGET_KINDS = [...SELECTOR_TARGETS, 'knowledge'];
+const ROLE_FIELDS = ['role', 'name', 'name_contains'];
+/** Element states a role/name target can require; "level" is a heading's */
+const STATE_FILTERS = ['checked', 'expanded', 'selected', 'pressed', 'disabled', 'level'];
+
+/** Steps that run nested blocks */
+const CONTROL_ACTIONS = ['if', 'repeat', 'while', 'for_each', 'call'];
+const LOOP_ACTIONS = ['repeat', 'while', 'for_each'];
+
+/** Condition kinds for if/while/assert */
+const CONDITION_KINDS = ['exists', 'enabled', 'text', 'url_contains', 'url_matches', 'variable', 'not', 'all', 'any'];
+/** Fields qualifying a "variable" condition */
+const CONDITION_MODIFIERS = ['equals', 'in', 'matches'];
+
+/** Page text lines shown when an assertion fails */
+const OBSERVED_LINES = 15;
+
+/** Actions after which the element list is re-read */
+const DOM_CHANGING_ACTIONS = [
+  'click', 'type', 'fill', 'select', 'check', 'uncheck', 'hover', 'drag', 'upload',
+  'navigate', 'back', 'forward', 'reload', 'switch_tab', 'wait_for'
+];
 
 /**
- * Parse snapshot output into structured elements
+ * Elements of a snapshot that commands can act on (those with a ref)
  */
-function parseSnapshot(output) {
-  const elements = [];
-  const lines = output.split('\n');
-  for (const line of lines) {
-    const match = line.match(/^- (\w+)\s*"?([^"]*)"?\s*\[ref=(e\d+)\](.*)$/);
-    if (match) {
-      const [, role, name, ref, attrs] = match;
-      elements.push({
-        role: role.trim(),
-        name: name.trim(),
-        ref,
-        nth: attrs.includes('[nth=') ? parseInt(attrs.match(/\[nth=(\d+)\]/)?.[1] || '0') : 0,
-        disabled: attrs.includes('[disabled]')
-      });
-    }
+function snapshotElements(output) {
+  return flattenSnapshot(parseSnapshot(output)).filter(node => node.ref);
+}
+
+/**
+ * Check an element against target criteria: role, name, name_contains, nth
+ * and state filters (checked, expanded, selected, pressed, disabled, level)
+ *
+ * @param {object} [options] - { includeDisabled: also match disabled elements }
+ */
+function matchesTarget(el, target, options = {}) {
+  if (target.role && el.role !== target.role) return false;
+  if (target.name && el.name !== target.name) return false;
+  if (target.name_contains && !el.name.toLowerCase().includes(target.name_contains.toLowerCase())) return false;
+  if (target.nth !== undefined && el.nth !== target.nth) return false;
+  for (const state of STATE_FILTERS) {
+    if (target[state] !== undefined && (el[state] ?? false) !== target[state]) return false;
   }
-  return elements;
+  // A disabled element is only a match when asked for
+  if (el.disabled && !options.includeDisabled && target.disabled !== true) return false;
+  return true;
 }
 
 /**
  * Find an element matching target criteria
+ *
+ * @param {object} [options] - { includeDisabled: also match disabled elements }
  */
-function findElement(elements, target) {
-  return elements.find(el => {
-    if (target.role && el.role !== target.role) return false;
-    if (target.name && el.name !== target.name) return false;
-    if (target.name_contains && !el.name.toLowerCase().includes(target.name_contains.toLowerCase())) return false;
-    if (target.nth !== undefined && el.nth !== target.nth) return false;
-    if (el.disabled) return false;
-    return true;
-  });
+function findElement(elements, target, options = {}) {
+  return elements.find(el => matchesTarget(el, target, options));
 }
 
 /**
- * Find element with fallback targets
+ * Find a role/name target inside the elements matching its "within"
+ * (e.g. the Delete button in one table row); "nth" counts matches there.
+ * The interactive snapshot is flat, so containers come from the full one;
+ * that renumbers refs, so the element is looked up again in a fresh
+ * interactive snapshot, where its role, name and nth are the same.
  */
-function findElementWithFallback(elements, action) {
-  let element = findElement(elements, action.target);
-  if (element) return element;
+async function findWithin(browser, target, options) {
+  const { within, nth = 0, ...criteria } = target;
+  const nodes = flattenSnapshot(parseSnapshot(await browser.snapshot({ compact: true })));
+  const matches = nodes
+    .filter(node => matchesTarget(node, within, { includeDisabled: true }))
+    .flatMap(container => flattenSnapshot(container.children))
+    .filter(node => node.ref && matchesTarget(node, criteria, options));
+  const node = matches[nth];
+  if (!node) return null;
+  return snapshotElements(await browser.snapshot({ interactive: true }))
+    .find(el => el.role === node.role && el.name === node.name && el.nth === node.nth) ?? null;
+}
 
-  if (action.fallback_targets && Array.isArray(action.fallback_targets)) {
-    for (const fallback of action.fallback_targets) {
-      element = findElement(elements, fallback);
-      if (element) return element;
-    }
+/**
+ * A { knowledge: "name" } target as the element's stored selector (a css
+ * target) or accessible name, from the site knowledge for the current page
+ */
+async function knowledgeTarget(browser, target) {
+  const url = await browser.url();
+  const info = loadKnowledge(url)?.elements[target.knowledge];
+  if (!info?.selector && !info?.ref_name) {
+    throw new Error(`No site knowledge of element "${target.knowledge}" for ${url}`);
   }
+  return info.selector
+    ? { css: info.selector, nth: target.nth, within: target.within }
+    : { role: info.role, name: info.ref_name, nth: target.nth, within: target.within };
+}
 
+/**
+ * Find a target on the page: role/name targets among the snapshot elements
+ * (or the full snapshot, for "within"), css/xpath/text/label/placeholder
+ * targets through Playwright
+ *
+ * @param {object} [options] - { includeDisabled: also match disabled elements }
+ * @returns {Promise<{ ref: string, role: string, name: string, disabled: boolean }|null>}
+ *   ref is what browser commands take: "@e12" or a CSS selector
+ */
+async function resolveTarget(browser, elements, target, options = {}) {
+  const resolved = target.knowledge !== undefined ? await knowledgeTarget(browser, target) : target;
+  if (SELECTOR_TARGETS.some(kind => resolved[kind] !== undefined)) {
+    const element = await browser.locateTarget(resolved);
+    return element && (!element.disabled || options.includeDisabled) ? element : null;
+  }
+  const element = resolved.within
+    ? await findWithin(browser, resolved, options)
+    : findElement(elements, resolved, options);
+  return element && { ...element, ref: `@${element.ref}` };
+}
+
+/**
+ * Resolve a step's target, then its fallback targets in order
+ */
+async function resolveStepTarget(browser, elements, action) {
+  const fallbacks = Array.isArray(action.fallback_targets) ? action.fallback_targets : [];
+  for (const target of [action.target, ...fallbacks]) {
+    const element = await resolveTarget(browser, elements, target);
+    if (element) return element;
+  }
   return null;
 }
 
@@ -78,35 +170,102 @@ function interpolate(str, variables) {
     }
     // No escaping here — browser.type()/fill() handle CLI escaping.
     // Variables are only used in value fields, not action/target fields.
-    return String(variables[key]);
+    // Extracted lists and tables are inserted as JSON.
+    const value = variables[key];
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
   });
 }
 
+/**
+ * Error message for a wait_for step that ran out of time
+ */
+function waitForTimeoutMessage(action, variables, timeout) {
+  const what = action.text !== undefined
+    ? `text "${interpolate(String(action.text), variables)}"`
+    : JSON.stringify(action.target);
+  return `Timed out after ${timeout}ms waiting for ${what}${action.gone ? ' to disappear' : ''}`;
+}
+
+/**
+ * Poll the page until a wait_for step's target or text appears
+ * (or, with "gone": true, disappears)
+ *
+ * @returns {object} Extra fields for the step result
+ */
+async function waitFor(browser, action, variables) {
+  const timeout = action.timeout || 10000;
+  const started = Date.now();
+  const text = action.text !== undefined ? interpolate(String(action.text), variables) : null;
+
+  for (;;) {
+    const present = text !== null
+      // Full snapshot — text is usually in non-interactive content
+      ? (await browser.snapshot({ compact: true })).toLowerCase().includes(text.toLowerCase())
+      : Boolean(await resolveStepTarget(browser, snapshotElements(await browser.snapshot({ interactive: true })), action));
+    if (present !== Boolean(action.gone)) return { waited: Date.now() - started };
+    if (Date.now() - started >= timeout) throw new Error(waitForTimeoutMessage(action, variables, timeout));
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+}
+
 /**
  * Execute a single action step
+ *
+ * @param {object} [trace] - Receives the ref the target resolved to
+ * @returns {object|undefined} Extra fields for the step result
  */
-async function executeAction(browser, action, variables, elements) {
+async function executeAction(browser, action, variables, elements, trace = {}) {
+  const target = async () => {
+    const element = await resolveStepTarget(browser, elements, action);
+    if (!element) throw new Error(`Element not found: ${JSON.stringify(action.target)}`);
+    trace.ref = element.ref;
+    return element.ref;
+  };
+
+  let result;
   switch (action.action) {
     case 'click': {
-      const element = findElementWithFallback(elements, action);
-      if (!element) throw new Error(`Element not found: ${JSON.stringify(action.target)}`);
-      await browser.click(`@${element.ref}`);
+      await browser.click(await target());
       break;
     }
 
     case 'type': {
-      const element = findElementWithFallback(elements, action);
-      if (!element) throw new Error(`Element not found: ${JSON.stringify(action.target)}`);
-      const value = interpolate(action.value, variables);
-      await browser.type(`@${element.ref}`, value);
+      const ref = await target();
+      await browser.type(ref, interpolate(action.value, variables));
       break;
     }
 
     case 'fill': {
-      const element = findElementWithFallback(elements, action);
-      if (!element) throw new Error(`Element not found: ${JSON.stringify(action.target)}`);
-      const value = interpolate(action.value, variables);
-      await browser.fill(`@${element.ref}`, value);
+      const ref = await target();
+      await browser.fill(ref, interpolate(action.value, variables));
+      break;
+    }
+
+    case 'select': {
+      const ref = await target();
+      await browser.select(ref, interpolate(action.value, variables));
+      break;
+    }
+
+    case 'check':
+    case 'uncheck':
+    case 'hover': {
+      await browser[action.action](await target());
+      break;
+    }
+
+    case 'drag': {
+      const source = await target();
+      const destination = await resolveTarget(browser, elements, action.to);
+      if (!destination) throw new Error(`Drop target not found: ${JSON.stringify(action.to)}`);
+      await browser.drag(source, destination.ref);
+      break;
+    }
+
+    case 'upload': {
+      // Check the files first — a missing file is a setup problem, not a page problem
+      const files = resolveUploadFiles([].concat(action.files ?? action.value).map(f => interpolate(f, variables)));
+      await browser.upload(await target(), files);
       break;
     }
 
@@ -123,8 +282,10 @@ async function executeAction(browser, action, variables, elements) {
     }
 
     case 'screenshot': {
-      const screenshotPath = action.path || undefined;
-      await browser.screenshot(screenshotPath);
+      const options = { fullPage: action.full_page, format: action.format, quality: action.quality };
+      if (action.target) options.ref = await target();
+      const shot = await browser.saveScreenshot(interpolate(action.path, variables) || undefined, options);
+      result = { screenshot: shot.path };
       break;
     }
 
@@ -134,17 +295,65 @@ async function executeAction(browser, action, variables, elements) {
       break;
     }
 
+    case 'back':
+    case 'forward':
+    case 'reload': {
+      await browser[action.action]();
+      break;
+    }
+
+    case 'switch_tab': {
+      await browser.switchTab(interpolate(String(action.tab), variables));
+      break;
+    }
+
     case 'wait': {
       await new Promise(resolve => setTimeout(resolve, action.duration || 1000));
       break;
     }
 
+    case 'wait_for': {
+      result = await waitFor(browser, action, variables);
+      break;
+    }
+
+    case 'wait_for_download': {
+      const download = await browser.waitForDownload(action.timeout ? { timeout: action.timeout } : {});
+      if (action.as) variables[action.as] = download.file;
+      result = { download: download.file };
+      break;
+    }
+
+    case 'extract': {
+      let value;
+      if (action.expression !== undefined) {
+        value = await browser.evaluate(action.expression);
+      } else {
+        const ref = action.target ? await target() : action.selector;
+        value = await browser.extract(ref, {
+          attribute: action.attribute,
+          table: action.table,
+          all: action.all,
+          timeout: action.timeout
+        });
+      }
+      // append collects values across loop iterations
+      if (action.append) {
+        const previous = variables[action.as];
+        value = (Array.isArray(previous) ? previous : []).concat(value);
+      }
+      variables[action.as] = value;
+      result = { output: action.as };
+      break;
+    }
+
     default:
       throw new Error(`Unknown action: ${action.action}`);
   }
 
   // Brief pause between actions
   await new Promise(resolve => setTimeout(resolve, 200 + Math.random() * 300));
+  return result;
 }
 
 /**
@@ -165,7 +374,7 @@ async function verifySuccess(browser, verification) {
 
   for (let i = 0; i < maxAttempts; i++) {
     const snapshotOutput = await browser.snapshot({ interactive: true });
-    const elements = parseSnapshot(snapshotOutput);
+    const elements = snapshotElements(snapshotOutput);
 
     for (const target of targets) {
       if (target.text_contains) {
@@ -173,7 +382,7 @@ async function verifySuccess(browser, verification) {
           return true;
         }
       } else {
-        const element = findElement(elements, target);
+        const element = await resolveTarget(browser, elements, target);
         if (element) return true;
       }
     }
@@ -187,7 +396,7 @@ async function verifySuccess(browser, verification) {
 /**
  * Load a sequence by name from the sequences directory
  */
-function loadSequence(name) {
+function sequencePath(name) {
   if (!fs.existsSync(SEQUENCES_DIR)) {
     throw new Error(`Sequences directory not found: ${SEQUENCES_DIR}`);
   }
@@ -221,13 +430,278 @@ function loadSequence(name) {
       if (!realPath.startsWith(realSeqDir + path.sep) && realPath !== realSeqDir) {
         throw new Error(`Sequence path escapes sequences directory: ${name}`);
       }
-      return JSON.parse(fs.readFileSync(p, 'utf8'));
+      return realPath;
     }
   }
 
   throw new Error(`Sequence not found: ${name}`);
 }
 
+/**
+ * Read and parse a sequence by name (see sequencePath)
+ */
+export function loadSequence(name) {
+  return JSON.parse(fs.readFileSync(sequencePath(name), 'utf8'));
+}
+
+/**
+ * Load every sequence reachable through call steps, so missing or invalid
+ * sequences and call cycles are reported before anything runs
+ *
+ * @param {object} sequence - Calling sequence
+ * @param {string[]} chain - Files of the calling sequences, outermost first
+ * @param {string[]} names - Their names, for error messages
+ * @param {Map<string, object>} [calls] - Accumulator
+ * @returns {Map<string, object>} Called sequences by the name used in the step
+ */
+function loadCalledSequences(sequence, chain, names, calls = new Map()) {
+  for (const step of walkSteps(sequence.steps || sequence.actions)) {
+    if (step.action !== 'call') continue;
+    const file = sequencePath(step.sequence);
+    if (chain.includes(file)) {
+      throw new Error(`Recursive call: ${[...names, step.sequence].join(' → ')}`);
+    }
+    const callee = loadSequence(step.sequence);
+    const { valid, errors } = validateSequence(callee);
+    if (!valid) throw new Error(`Invalid sequence "${step.sequence}": ${errors.join('; ')}`);
+    calls.set(step.sequence, callee);
+    loadCalledSequences(callee, [...chain, file], [...names, step.sequence], calls);
+  }
+  return calls;
+}
+
+/**
+ * Fill variables declared with "env" from the environment or ~/zylos/.env,
+ * unless given explicitly. Keeps secrets off the command line:
+ * "password": { "type": "secret", "env": "SITE_PASSWORD" }
+ *
+ * @returns {object} New variables object
+ */
+function resolveVariables(sequence, variables) {
+  const resolved = { ...variables };
+  for (const [key, spec] of Object.entries(sequence.variables || {})) {
+    if (resolved[key] !== undefined || !spec.env) continue;
+    const value = process.env[spec.env] ?? loadEnv()[spec.env];
+    if (value !== undefined) resolved[key] = value;
+  }
+  return resolved;
+}
+
+/**
+ * Values of a sequence's secret variables, for masking
+ */
+function secretValues(sequence, variables) {
+  return Object.entries(variables)
+    .filter(([key, value]) => typeof value === 'string' && value && isSecretVariable(key, sequence.variables?.[key]))
+    .map(([, value]) => value);
+}
+
+/**
+ * Validate the state filters of a target
+ */
+function validateStates(target, where, errors) {
+  for (const state of STATE_FILTERS) {
+    const value = target[state];
+    if (value === undefined) continue;
+    if (state === 'level') {
+      if (!(Number.isInteger(value) && value > 0)) errors.push(`${where}: "level" must be a positive integer`);
+    } else if (typeof value !== 'boolean' && !(value === 'mixed' && (state === 'checked' || state === 'pressed'))) {
+      errors.push(`${where}: "${state}" must be true or false${state === 'checked' || state === 'pressed' ? ' (or "mixed")' : ''}`);
+    }
+  }
+}
+
+/**
+ * Validate a target: role/name fields and state filters, or exactly one of
+ * css, xpath, text, label, placeholder or knowledge; either can be scoped
+ * by "within"
+ *
+ * @param {string} where - Label of the target in messages ('Step 2: "target"')
+ */
+function validateTarget(target, where, errors) {
+  if (!target || typeof target !== 'object' || Array.isArray(target)) {
+    errors.push(`${where} must be a target object`);
+    return;
+  }
+  const kinds = TARGET_KINDS.filter(kind => target[kind] !== undefined);
+  if (kinds.length > 1 || (kinds.length === 1 && ROLE_FIELDS.some(field => target[field] !== undefined))) {
+    errors.push(`${where} needs role/name fields or one of ${TARGET_KINDS.join(', ')}, not several`);
+  } else if (kinds.length === 1 && (typeof target[kinds[0]] !== 'string' || !target[kinds[0]])) {
+    errors.push(`${where}: "${kinds[0]}" must be a non-empty string`);
+  } else if (kinds.length === 1 && STATE_FILTERS.some(state => target[state] !== undefined)) {
+    errors.push(`${where}: state filters (${STATE_FILTERS.join(', ')}) apply to role/name targets`);
+  }
+  validateStates(target, where, errors);
+
+  const { within } = target;
+  if (within === undefined) return;
+  if (!within || typeof within !== 'object' || Array.isArray(within) || typeof within.role !== 'string' || !within.role) {
+    errors.push(`${where}: "within" must be an object with a "role"`);
+    return;
+  }
+  const fields = kinds.length > 0 ? ['role', 'name'] : [...ROLE_FIELDS, ...STATE_FILTERS];
+  const unknown = Object.keys(within).filter(key => !fields.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`${where}: "within" takes ${fields.join(', ')}, not ${unknown.join(', ')}`);
+  }
+  validateStates(within, `${where} within`, errors);
+}
+
+/**
+ * Validate a condition of an if/while step
+ */
+function validateCondition(condition, where, errors) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push(`${where}: "condition" must be an object`);
+    return;
+  }
+  const kinds = CONDITION_KINDS.filter(kind => condition[kind] !== undefined);
+  if (kinds.length !== 1) {
+    errors.push(`${where}: condition needs exactly one of ${CONDITION_KINDS.join(', ')}`);
+    return;
+  }
+  const [kind] = kinds;
+  if (kind === 'all' || kind === 'any') {
+    if (!Array.isArray(condition[kind]) || condition[kind].length === 0) {
+      errors.push(`${where}: "${kind}" must be a non-empty array of conditions`);
+    } else {
+      condition[kind].forEach((c, i) => validateCondition(c, `${where} ${kind}[${i}]`, errors));
+    }
+  } else if (kind === 'not') {
+    validateCondition(condition.not, `${where} not`, errors);
+  } else if (kind === 'exists' || kind === 'enabled') {
+    validateTarget(condition[kind], `${where}: "${kind}"`, errors);
+  } else if (kind === 'url_matches' || condition.matches !== undefined) {
+    try {
+      new RegExp(condition.url_matches ?? condition.matches);
+    } catch (err) {
+      errors.push(`${where}: invalid regular expression: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Validate a list of steps, recursing into control-flow blocks
+ *
+ * @param {object[]} steps
+ * @param {string[]} errors - Collected error messages
+ * @param {string} [prefix] - Step id of the enclosing block ("3.then")
+ */
+function validateSteps(steps, errors, prefix = '') {
+  if (!Array.isArray(steps)) {
+    errors.push(`Step ${prefix}: block must be an array of steps`);
+    return;
+  }
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const where = `Step ${prefix ? `${prefix}.${i}` : i}`;
+    const id = prefix ? `${prefix}.${i}` : String(i);
+    if (!step.action) {
+      errors.push(`${where}: missing "action" field`);
+      continue;
+    }
+    if (!VALID_ACTIONS.includes(step.action)) {
+      errors.push(`${where}: unknown action "${step.action}"`);
+    }
+    if (TARGET_ACTIONS.includes(step.action) && !step.target) {
+      errors.push(`${where}: "${step.action}" requires a "target" field`);
+    } else if (step.target !== undefined) {
+      validateTarget(step.target, `${where}: "target"`, errors);
+    }
+    if (step.fallback_targets !== undefined) {
+      if (!Array.isArray(step.fallback_targets)) errors.push(`${where}: "fallback_targets" must be an array of targets`);
+      else step.fallback_targets.forEach((t, j) => validateTarget(t, `${where}: "fallback_targets"[${j}]`, errors));
+    }
+    if (['type', 'fill', 'select'].includes(step.action) && step.value === undefined) {
+      errors.push(`${where}: "${step.action}" requires a "value" field`);
+    }
+    if (step.action === 'upload' && step.value === undefined && !step.files) {
+      errors.push(`${where}: "upload" requires a "value" (file path) or "files" field`);
+    }
+    if (step.action === 'drag') {
+      if (step.to === undefined) errors.push(`${where}: "drag" requires a "to" target (where to drop)`);
+      else validateTarget(step.to, `${where}: "to"`, errors);
+    }
+    if (step.action === 'switch_tab' && typeof step.tab !== 'number' && (typeof step.tab !== 'string' || !step.tab)) {
+      errors.push(`${where}: "switch_tab" requires "tab" (an index, "url:<text>" or "{{variable}}")`);
+    }
+    if (step.action === 'wait_for') {
+      if ((step.target === undefined) === (step.text === undefined)) {
+        errors.push(`${where}: "wait_for" needs exactly one of "target" or "text"`);
+      }
+    }
+    if (step.timeout !== undefined && !(Number.isInteger(step.timeout) && step.timeout > 0)) {
+      errors.push(`${where}: "timeout" must be a positive number of milliseconds`);
+    }
+    for (const key of ['retries', 'retry_delay']) {
+      if (step[key] === undefined) continue;
+      if (!(Number.isInteger(step[key]) && step[key] >= 0)) {
+        errors.push(`${where}: "${key}" must be a non-negative integer`);
+      } else if (CONTROL_ACTIONS.includes(step.action)) {
+        errors.push(`${where}: "${key}" applies to action steps, not "${step.action}" blocks`);
+      }
+    }
+    if (step.optional !== undefined && typeof step.optional !== 'boolean') {
+      errors.push(`${where}: "optional" must be true or false`);
+    }
+    if (step.on_error !== undefined) validateSteps(step.on_error, errors, `${id}.on_error`);
+    if (step.action === 'call') {
+      if (typeof step.sequence !== 'string' || !step.sequence) {
+        errors.push(`${where}: "call" requires a "sequence" name`);
+      }
+      if (step.variables !== undefined && (typeof step.variables !== 'object' || Array.isArray(step.variables))) {
+        errors.push(`${where}: "variables" must be an object mapping names to values`);
+      }
+    }
+    if (step.as !== undefined && !/^\w+$/.test(step.as)) {
+      errors.push(`${where}: "as" must be a variable name`);
+    }
+    if (step.action === 'extract') {
+      const sources = ['target', 'selector', 'expression'].filter(key => step[key] !== undefined);
+      if (step.as === undefined) errors.push(`${where}: "extract" requires "as" (the output name)`);
+      if (sources.length !== 1) {
+        errors.push(`${where}: "extract" needs exactly one of "target", "selector" or "expression"`);
+      } else if (step.expression !== undefined && (step.attribute || step.table || step.all)) {
+        errors.push(`${where}: "expression" cannot be combined with "attribute", "table" or "all"`);
+      }
+      if (step.table && step.attribute) errors.push(`${where}: "table" and "attribute" are exclusive`);
+    }
+
+    switch (step.action) {
+      case 'assert':
+        validateCondition(assertCondition(step), where, errors);
+        break;
+      case 'if':
+        validateCondition(step.condition, where, errors);
+        if (!step.then) errors.push(`${where}: "if" requires a "then" block`);
+        else validateSteps(step.then, errors, `${id}.then`);
+        if (step.else !== undefined) validateSteps(step.else, errors, `${id}.else`);
+        break;
+      case 'while':
+        validateCondition(step.condition, where, errors);
+        break;
+      case 'repeat':
+        if (!(Number.isInteger(step.times) && step.times >= 0) && !/^\{\{\w+\}\}$/.test(step.times)) {
+          errors.push(`${where}: "repeat" requires "times" (a non-negative integer or "{{variable}}")`);
+        }
+        break;
+      case 'for_each':
+        if (!Array.isArray(step.items) && typeof step.items !== 'string') {
+          errors.push(`${where}: "for_each" requires "items" (an array or "{{variable}}")`);
+        }
+        break;
+    }
+    if (LOOP_ACTIONS.includes(step.action)) {
+      if (step.max_iterations !== undefined && !(Number.isInteger(step.max_iterations) && step.max_iterations > 0)) {
+        errors.push(`${where}: "max_iterations" must be a positive integer`);
+      }
+      if (!step.steps) errors.push(`${where}: "${step.action}" requires a "steps" block`);
+      else validateSteps(step.steps, errors, id);
+    }
+  }
+}
+
 /**
  * Validate a sequence JSON schema
  *
@@ -242,31 +716,22 @@ export function validateSequence(sequenceJson) {
     errors.push('Missing "steps" or "actions" field');
   }
 
-  const steps = sequenceJson.steps || sequenceJson.actions || [];
-  const validActions = ['click', 'type', 'fill', 'scroll', 'wait', 'screenshot', 'keypress', 'navigate'];
+  validateSteps(sequenceJson.steps || sequenceJson.actions || [], errors);
 
-  for (let i = 0; i < steps.length; i++) {
-    const step = steps[i];
-    if (!step.action) {
-      errors.push(`Step ${i}: missing "action" field`);
-      continue;
-    }
-    if (!validActions.includes(step.action)) {
-      errors.push(`Step ${i}: unknown action "${step.action}"`);
-    }
-    if (['click', 'type', 'fill'].includes(step.action) && !step.target) {
-      errors.push(`Step ${i}: "${step.action}" requires a "target" field`);
-    }
-    if (['type', 'fill'].includes(step.action) && step.value === undefined) {
-      errors.push(`Step ${i}: "${step.action}" requires a "value" field`);
+  if (sequenceJson.rules !== undefined) {
+    const names = Array.isArray(sequenceJson.rules) ? sequenceJson.rules : [sequenceJson.rules];
+    if (!names.every(n => typeof n === 'string' && n)) {
+      errors.push('"rules" must be a rule set name or an array of names');
     }
   }
 
+  if (sequenceJson.console !== undefined && typeof sequenceJson.console !== 'boolean' && !parseLevel(sequenceJson.console)) {
+    errors.push('"console" must be true/false or a level (debug, info, warning, error)');
+  }
+
   if (sequenceJson.variables) {
     for (const [key, spec] of Object.entries(sequenceJson.variables)) {
-      if (!spec.type) {
-        errors.push(`Variable "${key}": missing "type" field`);
-      }
+      errors.push(...validateVariableSpec(key, spec));
     }
   }
 
@@ -274,103 +739,799 @@ export function validateSequence(sequenceJson) {
 }
 
 /**
- * Run a named sequence with variables
+ * Walk all steps, including those nested in control-flow blocks
+ */
+function* walkSteps(steps) {
+  for (const step of steps || []) {
+    yield step;
+    yield* walkSteps(step.then);
+    yield* walkSteps(step.else);
+    yield* walkSteps(step.steps);
+    yield* walkSteps(step.on_error);
+  }
+}
+
+/**
+ * Re-read the interactive element list
+ */
+async function refreshElements(ctx) {
+  // Raw text is kept for the run log of a failing step
+  ctx.snapshot = await ctx.browser.snapshot({ interactive: true });
+  ctx.elements = snapshotElements(ctx.snapshot);
+}
+
+/**
+ * Loose truthiness for variables that usually arrive as CLI strings
+ */
+function isTruthy(value) {
+  return !(value === undefined || value === null || value === false || value === 0 ||
+    ['', '0', 'false', 'no'].includes(String(value).trim().toLowerCase()));
+}
+
+/**
+ * A resolved target (see resolveTarget) with the ref or selector used
+ */
+function formatTarget(el) {
+  return `${el.role}${el.name ? ` "${el.name}"` : ''} [${el.ref}]${el.disabled ? ' [disabled]' : ''}`;
+}
+
+/**
+ * Elements worth showing when a target is not found: those with the
+ * target's role, or every element when the role itself is missing
+ */
+function nearbyElements(elements, target) {
+  const sameRole = target.role ? elements.filter(el => el.role === target.role) : [];
+  const shown = (sameRole.length > 0 ? sameRole : elements).slice(0, OBSERVED_LINES);
+  const lines = shown.map(formatNode);
+  if (elements.length === 0) return ['no interactive elements on the page'];
+  const more = (sameRole.length > 0 ? sameRole : elements).length - shown.length;
+  return [
+    sameRole.length > 0 ? `no match; ${target.role} elements on the page:` : 'no match; interactive elements on the page:',
+    ...lines.map(line => `  ${line}`),
+    ...(more > 0 ? [`  … ${more} more`] : [])
+  ];
+}
+
+/**
+ * Check an if/while/assert condition against the page and variables
  *
- * @param {string} name - Sequence name or path
- * @param {object} variables - Variables to interpolate
- * @param {object} browserOpts - Options passed to Browser constructor
- * @returns {{ success: boolean, steps: object[], error?: string }}
+ * @returns {{ passed: boolean, expected: string, observed: string[] }} What the
+ *   condition asked for and what was found, for assertion failure messages
  */
-export async function runSequence(name, variables = {}, browserOpts = {}) {
-  const sequence = loadSequence(name);
-  const config = getConfig();
-  const stepResults = [];
-
-  // Validate required variables
-  if (sequence.variables) {
-    for (const [key, spec] of Object.entries(sequence.variables)) {
-      if (spec.required && variables[key] === undefined) {
-        return {
-          success: false,
-          steps: [],
-          error: `Missing required variable: ${key}${spec.description ? ` — ${spec.description}` : ''}`
-        };
+async function checkCondition(ctx, condition) {
+  if (condition.all) {
+    for (const c of condition.all) {
+      const check = await checkCondition(ctx, c);
+      // The first failing part explains the failure
+      if (!check.passed) return check;
+    }
+    return { passed: true, expected: `all of ${condition.all.length} conditions`, observed: [] };
+  }
+  if (condition.any) {
+    const checks = [];
+    for (const c of condition.any) {
+      const check = await checkCondition(ctx, c);
+      if (check.passed) return check;
+      checks.push(check);
+    }
+    return {
+      passed: false,
+      expected: `any of: ${checks.map(check => check.expected).join(' | ')}`,
+      observed: checks.flatMap(check => check.observed)
+    };
+  }
+  if (condition.not) {
+    const check = await checkCondition(ctx, condition.not);
+    return { passed: !check.passed, expected: `not ${check.expected}`, observed: check.observed };
+  }
+
+  if (condition.exists || condition.enabled) {
+    const target = condition.exists || condition.enabled;
+    await refreshElements(ctx);
+    const element = await resolveTarget(ctx.browser, ctx.elements, target, { includeDisabled: Boolean(condition.enabled) });
+    let observed;
+    if (element) observed = [`found ${formatTarget(element)}`];
+    else if (TARGET_KINDS.some(kind => target[kind] !== undefined)) observed = ['no match on the page'];
+    else observed = nearbyElements(ctx.elements, target);
+    return {
+      passed: Boolean(element) && !(condition.enabled && element.disabled),
+      expected: `${condition.enabled ? 'enabled ' : ''}element ${JSON.stringify(target)}`,
+      observed
+    };
+  }
+  if (condition.text !== undefined) {
+    // Full snapshot — text is usually in non-interactive content
+    const text = interpolate(String(condition.text), ctx.variables);
+    const lines = (await ctx.browser.snapshot({ compact: true })).split('\n').filter(line => line.trim());
+    const match = lines.find(line => line.toLowerCase().includes(text.toLowerCase()));
+    const shown = lines.slice(0, OBSERVED_LINES).map(line => `  ${line}`);
+    return {
+      passed: Boolean(match),
+      expected: `page text containing "${text}"`,
+      observed: match
+        ? [`found: ${match.trim()}`]
+        : ['not in page text:', ...shown, ...(lines.length > shown.length ? [`  … ${lines.length - shown.length} more lines`] : [])]
+    };
+  }
+  if (condition.url_contains !== undefined || condition.url_matches !== undefined) {
+    const url = await ctx.browser.url();
+    const expected = condition.url_contains !== undefined
+      ? interpolate(condition.url_contains, ctx.variables)
+      : new RegExp(condition.url_matches);
+    return {
+      passed: typeof expected === 'string' ? url.includes(expected) : expected.test(url),
+      expected: typeof expected === 'string' ? `URL containing "${expected}"` : `URL matching ${expected}`,
+      observed: [`URL ${url}`]
+    };
+  }
+  if (condition.variable !== undefined) {
+    const name = condition.variable;
+    const value = ctx.variables[name];
+    const observed = [`${name} = ${value === undefined ? '(not set)' : JSON.stringify(value)}`];
+    if (condition.equals !== undefined) {
+      const expected = interpolate(condition.equals, ctx.variables);
+      return { passed: String(value) === String(expected), expected: `${name} equal to ${JSON.stringify(expected)}`, observed };
+    }
+    if (condition.in !== undefined) {
+      return { passed: condition.in.map(String).includes(String(value)), expected: `${name} one of ${JSON.stringify(condition.in)}`, observed };
+    }
+    if (condition.matches !== undefined) {
+      const pattern = new RegExp(condition.matches);
+      return { passed: pattern.test(String(value ?? '')), expected: `${name} matching ${pattern}`, observed };
+    }
+    return { passed: isTruthy(value), expected: `${name} set`, observed };
+  }
+  throw new Error(`Unknown condition: ${JSON.stringify(condition)}`);
+}
+
+/**
+ * Evaluate an if/while condition against the page and variables
+ */
+async function evaluateCondition(ctx, condition) {
+  return (await checkCondition(ctx, condition)).passed;
+}
+
+/**
+ * The condition of an assert step: its condition fields
+ */
+function assertCondition(step) {
+  return Object.fromEntries(Object.entries(step)
+    .filter(([key]) => CONDITION_KINDS.includes(key) || CONDITION_MODIFIERS.includes(key)));
+}
+
+/**
+ * Run an assert step. A failure reads as a diff: "- expected" what the
+ * step asked for, "+ observed" what the page or variable held.
+ */
+async function runAssert(ctx, step) {
+  const check = await checkCondition(ctx, assertCondition(step));
+  if (check.passed) return;
+  const [first = '', ...rest] = check.observed;
+  throw new Error([
+    `Assertion failed${step.message ? `: ${previewValue(step.message, ctx.variables)}` : ''}`,
+    `- expected: ${check.expected}`,
+    `+ observed: ${first}`,
+    ...rest.map(line => `+ ${line}`)
+  ].join('\n'));
+}
+
+/**
+ * Resolve for_each items: an array, or "{{variable}}" holding an array,
+ * a JSON array string, or a comma/newline-separated list
+ */
+function resolveItems(items, variables) {
+  if (Array.isArray(items)) return items.map(item => interpolate(item, variables));
+  const ref = items.match(/^\{\{(\w+)\}\}$/);
+  const value = ref ? variables[ref[1]] : interpolate(items, variables);
+  if (value === undefined) throw new Error(`Missing variable: ${ref[1]}`);
+  if (Array.isArray(value)) return value;
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    const parsed = JSON.parse(text);
+    if (Array.isArray(parsed)) return parsed;
+  }
+  return text ? text.split(/\s*[,\n]\s*/) : [];
+}
+
+/**
+ * Variables for a called sequence. "{{name}}" alone passes the value
+ * through unchanged (lists stay lists); other strings are interpolated.
+ */
+function mapVariables(mapping, variables) {
+  const mapped = {};
+  for (const [key, value] of Object.entries(mapping)) {
+    const ref = typeof value === 'string' && value.match(/^\{\{(\w+)\}\}$/);
+    if (ref) {
+      if (variables[ref[1]] === undefined) throw new Error(`Missing variable: ${ref[1]}`);
+      mapped[key] = variables[ref[1]];
+    } else {
+      mapped[key] = interpolate(value, variables);
+    }
+  }
+  return mapped;
+}
+
+/**
+ * Iteration limit of a loop step
+ */
+function loopLimit(ctx, step) {
+  return step.max_iterations ?? ctx.config.sequences?.max_loop_iterations ?? 100;
+}
+
+/**
+ * Run a control-flow step's nested blocks
+ *
+ * @returns {object} Extra fields for the step result
+ */
+async function runControl(ctx, step, id) {
+  switch (step.action) {
+    case 'if': {
+      const matched = await evaluateCondition(ctx, step.condition);
+      const branch = matched ? 'then' : 'else';
+      if (step[branch]) await runBlock(ctx, step[branch], `${id}.${branch}`);
+      return { branch: matched || step.else ? branch : 'none' };
+    }
+
+    case 'repeat': {
+      const times = Number(interpolate(String(step.times), ctx.variables));
+      if (!Number.isInteger(times) || times < 0) throw new Error(`Invalid repeat count: ${step.times}`);
+      if (times > loopLimit(ctx, step)) {
+        throw new Error(`repeat ${times} exceeds the limit of ${loopLimit(ctx, step)} iterations`);
+      }
+      for (let n = 0; n < times; n++) await runBlock(ctx, step.steps, `${id}[${n}]`);
+      return { iterations: times };
+    }
+
+    case 'while': {
+      const limit = loopLimit(ctx, step);
+      let n = 0;
+      while (await evaluateCondition(ctx, step.condition)) {
+        if (n >= limit) throw new Error(`while loop exceeded ${limit} iterations`);
+        await runBlock(ctx, step.steps, `${id}[${n}]`);
+        n++;
+      }
+      return { iterations: n };
+    }
+
+    case 'for_each': {
+      const items = resolveItems(step.items, ctx.variables);
+      const limit = loopLimit(ctx, step);
+      if (items.length > limit) throw new Error(`for_each over ${items.length} items exceeds the limit of ${limit}`);
+      const name = step.as || 'item';
+      const previous = ctx.variables[name];
+      try {
+        for (let n = 0; n < items.length; n++) {
+          ctx.variables[name] = items[n];
+          await runBlock(ctx, step.steps, `${id}[${n}]`);
+        }
+      } finally {
+        // The loop variable is scoped to the loop, also when the loop fails
+        if (previous === undefined) delete ctx.variables[name];
+        else ctx.variables[name] = previous;
       }
+      return { iterations: items.length };
     }
+
+    case 'call': {
+      const callee = ctx.calls.get(step.sequence);
+      const checked = checkVariables(callee.variables, resolveVariables(callee, mapVariables(step.variables || {}, ctx.variables)));
+      const variables = checked.variables;
+      ctx.secrets.push(...secretValues(callee, variables));
+      if (checked.errors.length > 0) throw new Error(`${formatVariableErrors(checked.errors)} (calling "${step.sequence}")`);
+
+      // The called sequence sees only the mapped variables; its outputs flow back
+      const child = { ...ctx, variables, outputs: {} };
+      await runBlock(child, callee.steps || callee.actions || [], `${id}.call`);
+      if (callee.verification && !(await verifySuccess(ctx.browser, callee.verification))) {
+        throw new Error(`Verification of "${step.sequence}" failed`);
+      }
+      Object.assign(ctx.variables, child.outputs);
+      Object.assign(ctx.outputs, child.outputs);
+      await refreshElements(ctx).catch(() => {});
+      return { sequence: step.sequence };
+    }
+
+    default:
+      throw new Error(`Unknown action: ${step.action}`);
   }
+}
 
-  const browser = new Browser(browserOpts);
-  const steps = sequence.steps || sequence.actions || [];
+/**
+ * Step description for results and logs: its own, or the action and target
+ */
+function stepDescription(step) {
+  if (step.description) return step.description;
+  if (step.action === 'assert') return `assert ${JSON.stringify(assertCondition(step))}`;
+  return `${step.action} ${step.target ? JSON.stringify(step.target) : ''}`;
+}
 
-  // Get initial snapshot
-  let elements;
+/**
+ * Record a step result, and append it to the run log
+ */
+function addResult(ctx, result) {
+  ctx.results.push(result);
+  ctx.log?.step(result);
+}
+
+/**
+ * Execute an action once
+ *
+ * @returns {object} Step result with status 'ok' or 'failed', the resolved ref and duration
+ */
+async function attemptAction(ctx, step, id, description) {
+  const started = Date.now();
+  const result = { step: id, action: step.action, status: 'ok', description };
   try {
-    const snapshotOutput = await browser.snapshot({ interactive: true });
-    elements = parseSnapshot(snapshotOutput);
+    Object.assign(result, await withTimeout(ctx, step, () => (step.action === 'assert'
+      ? runAssert(ctx, step)
+      : executeAction(ctx.browser, step, ctx.variables, ctx.elements, result))));
   } catch (err) {
-    return { success: false, steps: [], error: `Failed to get initial snapshot: ${err.message}` };
+    result.status = 'failed';
+    result.error = err.message;
   }
+  result.duration = Date.now() - started;
+  return result;
+}
 
-  // Execute steps
-  for (let i = 0; i < steps.length; i++) {
-    const step = steps[i];
-    const stepDesc = step.description || `${step.action} ${step.target ? JSON.stringify(step.target) : ''}`;
+/**
+ * Run fn — the whole step, including target resolution, polling and the
+ * steps of a block or call — failing with a TimeoutError once the step's
+ * "timeout" has passed. The browser's command timeout is set to it as well,
+ * so steps nested in a block inherit the block's timeout unless they set
+ * their own. A command already sent when time runs out is not cancelled.
+ */
+async function withTimeout(ctx, step, fn) {
+  if (step.timeout === undefined) return fn();
+  const previous = ctx.browser.timeout;
+  ctx.browser.timeout = step.timeout;
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(step.action === 'wait_for'
+      ? waitForTimeoutMessage(step, ctx.variables, step.timeout)
+      : `Timed out after ${step.timeout}ms running ${step.action}`, { timeout: step.timeout })), step.timeout);
+  });
+  try {
+    return await Promise.race([fn(), expired]);
+  } finally {
+    clearTimeout(timer);
+    // An abandoned nested step may restore its own timeout later; keep ours
+    if (ctx.browser.timeout === step.timeout) ctx.browser.timeout = previous;
+  }
+}
+
+/**
+ * Retries of a failed action: its own "retries", else sequences.max_retries
+ * when sequences.retry_on_failure is on. A failed assertion stops the run
+ * unless the step asks for retries — retrying by default would only mask it.
+ */
+function stepRetries(ctx, step) {
+  if (step.retries !== undefined) return step.retries;
+  const { sequences = {} } = ctx.config;
+  if (step.action === 'assert' || !sequences.retry_on_failure) return 0;
+  return sequences.max_retries || 2;
+}
+
+/**
+ * Run one leaf action, retrying with exponential backoff: retry_delay
+ * (sequences.retry_delay, 500ms), then twice that, and so on
+ *
+ * @returns {object} Final step result; each failed attempt before it is recorded
+ */
+async function runAction(ctx, step, id, description) {
+  const retries = stepRetries(ctx, step);
+  const delay = step.retry_delay ?? ctx.config.sequences?.retry_delay ?? 500;
+  let result = await attemptAction(ctx, step, id, description);
+
+  for (let retry = 0; result.status === 'failed' && retry < retries; retry++) {
+    if (ctx.log) result.snapshot = ctx.log.snapshot(id, ctx.snapshot);
+    addResult(ctx, result);
+    await new Promise(resolve => setTimeout(resolve, delay * 2 ** retry));
+    try {
+      await refreshElements(ctx);
+    } catch {
+      // Page mid-navigation — try with the elements we have
+    }
+    result = await attemptAction(ctx, step, id, description);
+    if (result.status === 'ok') result.status = 'ok (retry)';
+  }
 
+  if (result.status === 'failed' && ctx.log) result.snapshot = ctx.log.snapshot(id, ctx.snapshot);
+  return result;
+}
+
+/**
+ * A step has failed for good: run its on_error block (screenshot, recovery
+ * call, closing a dialog, ...), then stop the run — unless the step is optional
+ *
+ * @param {BrowserError} err - The step's STEP_FAILED error
+ */
+async function stepFailed(ctx, step, id, err) {
+  if (step.on_error) {
     try {
-      await executeAction(browser, step, variables, elements);
-      stepResults.push({ step: i, action: step.action, status: 'ok', description: stepDesc });
+      await runBlock(ctx, step.on_error, `${id}.on_error`);
+    } catch (handlerErr) {
+      // A failing handler is in the results; the step's own failure is reported
+      if (handlerErr.code === 'ABORTED') throw handlerErr;
+    }
+  }
+  if (!step.optional) throw err;
+}
 
-      // Refresh snapshot after DOM-changing actions
-      if (['click', 'type', 'fill', 'navigate'].includes(step.action)) {
-        await new Promise(resolve => setTimeout(resolve, 300));
-        try {
-          const snapshotOutput = await browser.snapshot({ interactive: true });
-          elements = parseSnapshot(snapshotOutput);
-        } catch {
-          // Snapshot might fail during navigation — continue with stale elements
-        }
-      }
-    } catch (err) {
-      stepResults.push({ step: i, action: step.action, status: 'failed', error: err.message, description: stepDesc });
-
-      // Check retry config
-      if (config.sequences?.retry_on_failure) {
-        const maxRetries = config.sequences?.max_retries || 2;
-        let retried = false;
-
-        for (let retry = 0; retry < maxRetries; retry++) {
-          try {
-            await new Promise(resolve => setTimeout(resolve, 500));
-            const snapshotOutput = await browser.snapshot({ interactive: true });
-            elements = parseSnapshot(snapshotOutput);
-            await executeAction(browser, step, variables, elements);
-            stepResults.push({ step: i, action: step.action, status: 'ok (retry)', description: stepDesc });
-            retried = true;
-            break;
-          } catch {
-            // Retry failed, continue to next retry
-          }
-        }
+/**
+ * Run one step (leaf action or control-flow block).
+ * Failures are rethrown as STEP_FAILED carrying the innermost step id.
+ */
+async function runStep(ctx, step, id) {
+  const description = stepDescription(step);
 
-        if (!retried) {
-          return { success: false, steps: stepResults, error: `Step ${i} failed: ${err.message}` };
-        }
-      } else {
-        return { success: false, steps: stepResults, error: `Step ${i} failed: ${err.message}` };
+  if (CONTROL_ACTIONS.includes(step.action)) {
+    // Record the block before its children so results read in execution order
+    const result = { step: id, action: step.action, status: 'ok', description: step.description || step.action };
+    const started = Date.now();
+    ctx.results.push(result);
+    let failure = null;
+    try {
+      Object.assign(result, await withTimeout(ctx, step, () => runControl(ctx, step, id)));
+    } catch (err) {
+      if (err.code === 'ABORTED') {
+        result.status = 'failed';
+        throw err;
+      }
+      result.status = step.optional ? 'failed (optional)' : 'failed';
+      failure = err;
+      if (err.code !== 'STEP_FAILED') {
+        result.error = err.message;
+        if (ctx.log) result.snapshot = ctx.log.snapshot(id, ctx.snapshot);
+        failure = new BrowserError(`Step ${id} failed: ${err.message}`, 'STEP_FAILED', { step: id });
       }
+    } finally {
+      result.duration = Date.now() - started;
+      ctx.log?.step(result);
+    }
+    if (failure) await stepFailed(ctx, step, id, failure);
+    return;
+  }
+
+  if (ctx.beforeStep) {
+    const choice = await ctx.beforeStep({
+      step: id,
+      action: step.action,
+      description,
+      element: step.target ? describeElement(await resolveStepTarget(ctx.browser, ctx.elements, step)) : undefined
+    });
+    if (choice === 'abort') throw new BrowserError(`Aborted at step ${id}`, 'ABORTED', { step: id });
+    if (choice === 'skip') {
+      addResult(ctx, { step: id, action: step.action, status: 'skipped', description });
+      return;
+    }
+  }
+
+  const result = await runAction(ctx, step, id, description);
+  if (result.status === 'failed' && step.optional) result.status = 'failed (optional)';
+  addResult(ctx, result);
+  if (result.status.startsWith('failed')) {
+    await stepFailed(ctx, step, id, new BrowserError(`Step ${id} failed: ${result.error}`, 'STEP_FAILED', { step: id }));
+  } else if (step.action === 'extract') {
+    ctx.outputs[step.as] = ctx.variables[step.as];
+  }
+
+  // Refresh snapshot after DOM-changing actions
+  if (DOM_CHANGING_ACTIONS.includes(step.action)) {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    try {
+      await refreshElements(ctx);
+    } catch {
+      // Snapshot might fail during navigation — continue with stale elements
+    }
+  }
+}
+
+/**
+ * Run a block of steps. Top-level steps are numbered 0, 1, ...;
+ * nested ones by their path: "2.then.0", "3[1].0" (loop iteration 1).
+ */
+async function runBlock(ctx, steps, prefix) {
+  for (let i = 0; i < steps.length; i++) {
+    await runStep(ctx, steps[i], prefix === undefined ? i : `${prefix}.${i}`);
+  }
+}
+
+/**
+ * Element summary for dry-run and step-through output
+ */
+function describeElement(element) {
+  return element ? { ref: element.ref, role: element.role, name: element.name } : null;
+}
+
+/**
+ * Interpolate for display; unresolved variables stay as written
+ */
+function previewValue(value, variables) {
+  try {
+    return interpolate(value, variables);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Report what a step would do without acting. Targets are resolved against
+ * the elements read before the run; once a page-changing step has been
+ * passed they are marked stale, since the real page would have moved on.
+ */
+async function planStep(ctx, step, id) {
+  const description = stepDescription(step);
+  const entry = { step: id, action: step.action, status: 'ready', description };
+  ctx.results.push(entry);
+
+  try {
+    // A wait_for target is expected to appear later
+    if (step.target && step.action !== 'wait_for') {
+      entry.element = describeElement(await resolveStepTarget(ctx.browser, ctx.elements, step));
+      entry.status = entry.element ? 'found' : 'not_found';
+      if (ctx.stale) entry.stale = true;
+    }
+    if (step.action === 'drag') {
+      entry.to = describeElement(await resolveTarget(ctx.browser, ctx.elements, step.to));
+      if (!entry.to) entry.status = 'not_found';
+    }
+  } catch (err) {
+    // e.g. a knowledge target the site knowledge doesn't have
+    entry.status = 'not_found';
+    entry.error = err.message;
+  }
+  for (const key of ['value', 'url', 'path']) {
+    if (typeof step[key] === 'string') entry[key] = previewValue(step[key], ctx.variables);
+  }
+
+  switch (step.action) {
+    case 'if':
+      await planBlock(ctx, step.then || [], `${id}.then`);
+      await planBlock(ctx, step.else || [], `${id}.else`);
+      break;
+    case 'repeat':
+    case 'while':
+    case 'for_each':
+      // One pass shows the body's targets
+      await planBlock(ctx, step.steps || [], `${id}[0]`);
+      break;
+    case 'call': {
+      const callee = ctx.calls.get(step.sequence);
+      await planBlock(ctx, callee.steps || callee.actions || [], `${id}.call`);
+      break;
+    }
+  }
+  if (DOM_CHANGING_ACTIONS.includes(step.action)) ctx.stale = true;
+}
+
+async function planBlock(ctx, steps, prefix) {
+  for (let i = 0; i < steps.length; i++) await planStep(ctx, steps[i], `${prefix}.${i}`);
+}
+
+/**
+ * Top-level step range selected by from/to (inclusive, 0-based like step ids)
+ *
+ * @returns {{ from: number, to: number }}
+ */
+function stepRange(steps, options) {
+  const last = steps.length - 1;
+  for (const flag of ['from', 'to']) {
+    const value = options[flag];
+    if (value !== undefined && (!Number.isInteger(value) || value < 0 || value > last)) {
+      throw new BrowserError(`--${flag} must be a step number from 0 to ${last}`, 'INVALID_ARGUMENT', { [flag]: value });
     }
   }
+  const from = options.from ?? 0;
+  const to = options.to ?? last;
+  if (from > to) throw new BrowserError('--from is after --to', 'INVALID_ARGUMENT', { from, to });
+  return { from, to };
+}
+
+/**
+ * Execute a sequence's steps and verification on a browser
+ *
+ * @param {object} options - { calls: sequences used by call steps (loadCalledSequences),
+ *   from, to: top-level step range, dryRun: resolve targets without acting, log: RunLog,
+ *   beforeStep: async ({ step, action, description, element }) => 'continue'|'skip'|'abort' }
+ */
+async function runSteps(browser, sequence, inputVariables, options = {}) {
+  const steps = sequence.steps || sequence.actions || [];
+  const { from, to } = stepRange(steps, options);
+  const ctx = {
+    browser,
+    calls: options.calls ?? new Map(),
+    beforeStep: options.beforeStep,
+    log: options.log,
+    // Shared with the run log, which masks them; called sequences add theirs
+    secrets: options.secrets ?? [],
+    config: getConfig(),
+    // Steps can assign variables ("as"); keep the caller's object untouched
+    variables: { ...inputVariables },
+    elements: [],
+    results: [],
+    // Named values read by extract steps
+    outputs: {}
+  };
+
+  // Get initial snapshot
+  try {
+    await refreshElements(ctx);
+  } catch (err) {
+    return { success: false, steps: [], outputs: {}, error: `Failed to get initial snapshot: ${err.message}` };
+  }
+
+  if (options.dryRun) {
+    for (let i = from; i <= to; i++) await planStep(ctx, steps[i], i);
+    const missing = ctx.results.filter(r => r.status === 'not_found' && !r.stale).map(r => r.step);
+    return {
+      success: missing.length === 0,
+      dryRun: true,
+      steps: ctx.results,
+      ...(missing.length > 0 && { error: `Target not found on the current page for step ${missing.join(', ')}` })
+    };
+  }
 
-  // Verify success
-  if (sequence.verification) {
+  try {
+    for (let i = from; i <= to; i++) await runStep(ctx, steps[i], i);
+  } catch (err) {
+    if (err.code !== 'STEP_FAILED' && err.code !== 'ABORTED') throw err;
+    if (err.code === 'STEP_FAILED') await ctx.log?.screenshot(browser);
+    return { success: false, steps: ctx.results, outputs: ctx.outputs, error: err.message };
+  }
+
+  // Verify success — only meaningful when the run reached the end
+  if (sequence.verification && to === steps.length - 1) {
     await new Promise(resolve => setTimeout(resolve, 500));
     const verified = await verifySuccess(browser, sequence.verification);
     if (!verified) {
-      return { success: false, steps: stepResults, error: 'Sequence verification failed' };
+      await ctx.log?.screenshot(browser);
+      return { success: false, steps: ctx.results, outputs: ctx.outputs, error: 'Sequence verification failed' };
+    }
+  }
+
+  return { success: true, steps: ctx.results, outputs: ctx.outputs };
+}
+
+/**
+ * Run a named sequence with variables
+ *
+ * @param {string} name - Sequence name or path
+ * @param {object} variables - Variables to interpolate, coerced to their declared types;
+ *   variables declared with "env" fall back to the environment / ~/zylos/.env
+ * @param {object} browserOpts - Options passed to Browser constructor
+ * @param {object} options - Run options
+ * @param {string} [options.har] - Record the run's traffic to this HAR file (relative: LOGS_DIR)
+ * @param {boolean} [options.harBodies] - Embed response bodies in the HAR
+ * @param {boolean|string} [options.console] - Capture console output (true or a minimum level);
+ *   overrides the sequence's "console" field
+ * @param {number} [options.from] - First top-level step to run (0-based, like step ids)
+ * @param {number} [options.to] - Last top-level step to run; verification is skipped when
+ *   the run stops early
+ * @param {boolean} [options.dryRun] - Resolve each step's target on the current page and
+ *   report it without acting (result.dryRun; no rules, HAR, console or downloads)
+ * @param {Function} [options.beforeStep] - Called before each action step with
+ *   { step, action, description, element }; resolves to 'continue', 'skip' or 'abort'
+ * @param {object} [options.browser] - Browser to run on instead of one from createBrowser
+ *   (browserOpts is then unused); it is disconnected when the run ends
+ *
+ * A sequence may name rule sets to apply for the run: "rules": "stub-api" or ["no-ads", ...]
+ * Captured console output is written to the run directory and summarized in result.console;
+ * when the run fails, result.console.analysis holds what the log suggests about the failure.
+ * Values read by extract steps are returned in result.outputs, keyed by their "as" name.
+ * Each run (except dry runs) is logged to its own directory under LOGS_DIR/runs/ (result.run).
+ * @returns {{ success: boolean, steps: object[], outputs?: object, error?: string, har?: string,
+ *   console?: object, run?: { id: string, dir: string }, variableErrors?: string[] }}
+ */
+export async function runSequence(name, variables = {}, browserOpts = {}, options = {}) {
+  const sequence = loadSequence(name);
+  // Defaults, type coercion and checks (a dry run shows unset variables as written)
+  const checked = checkVariables(sequence.variables, resolveVariables(sequence, variables), { allowMissing: options.dryRun });
+  if (checked.errors.length > 0) {
+    return { success: false, steps: [], error: formatVariableErrors(checked.errors), variableErrors: checked.errors };
+  }
+  variables = checked.variables;
+  stepRange(sequence.steps || sequence.actions || [], options);
+
+  let calls;
+  try {
+    calls = loadCalledSequences(sequence, [sequencePath(name)], [sequence.name || name]);
+  } catch (err) {
+    return { success: false, steps: [], error: err.message };
+  }
+
+  // Steps of this sequence and of every sequence it calls
+  const steps = [sequence, ...calls.values()].flatMap(seq => [...walkSteps(seq.steps || seq.actions)]);
+  // Secret values are masked in everything the run returns or writes
+  const secrets = secretValues(sequence, variables);
+  const runOptions = { calls, secrets, from: options.from, to: options.to, beforeStep: options.beforeStep };
+  const browser = options.browser ?? await createBrowser(browserOpts);
+  if (options.dryRun) {
+    try {
+      return maskSecrets(await runSteps(browser, sequence, variables, { ...runOptions, dryRun: true }), secrets);
+    } finally {
+      await browser.disconnect();
+    }
+  }
+  const log = new RunLog({
+    sequence: sequence.name || name,
+    variables,
+    specs: sequence.variables,
+    secrets,
+    options: { from: options.from, to: options.to, har: options.har, console: options.console }
+  });
+  pruneRuns(getConfig().sequences?.max_run_logs);
+  runOptions.log = log;
+  const harPath = options.har ? resolveHarPath(options.har) : null;
+  const ruleSets = [].concat(sequence.rules || []);
+  const appliedRules = [];
+  const consoleOption = options.console ?? sequence.console ?? false;
+  let recording = false;
+  let consoleCapture = null;
+  let result;
+
+  try {
+    if (harPath) {
+      await browser.startHar({ bodies: options.harBodies, file: harPath });
+      recording = true;
     }
+    // Track downloads before any step can trigger one
+    if (steps.some(step => step.action === 'wait_for_download')) {
+      await browser.startDownloads();
+    }
+    if (consoleOption) {
+      // A session daemon may already be capturing — read from its current position
+      const status = await browser.consoleStatus();
+      await browser.startConsole();
+      consoleCapture = { owned: !status.capturing, after: status.lastId ?? 0 };
+    }
+    for (const ruleSet of ruleSets) {
+      try {
+        appliedRules.push((await browser.applyRules(ruleSet)).name);
+      } catch (err) {
+        result = { success: false, steps: [], error: `Failed to apply rule set "${ruleSet}": ${err.message}` };
+        break;
+      }
+    }
+    result ??= await runSteps(browser, sequence, variables, runOptions);
+  } catch (err) {
+    err.message = maskSecrets(err.message, secrets);
+    log.finish({ success: false, error: err.message });
+    throw err;
+  } finally {
+    // Rules are scoped to the run — don't leave them on a shared session
+    for (const name of appliedRules) {
+      await browser.clearRules(name).catch(() => {});
+    }
+    if (recording) {
+      const { har } = await browser.stopHar();
+      writeHar(maskSecrets(har, secrets), harPath);
+    }
+    if (consoleCapture) {
+      consoleCapture.entries = maskSecrets(await browser.consoleEntries({
+        after: consoleCapture.after,
+        level: parseLevel(consoleOption) ?? undefined
+      }), secrets);
+      if (consoleCapture.owned) await browser.stopConsole();
+    }
+    await browser.disconnect();
   }
 
-  return { success: true, steps: stepResults };
+  if (harPath) result.har = harPath;
+  if (consoleCapture) {
+    const { entries } = consoleCapture;
+    result.console = {
+      file: log.consoleLog(entries),
+      counts: countEntries(entries),
+      // Most recent errors, for a quick look without opening the log
+      recentErrors: filterEntries(entries, { level: 'error', limit: 5 }).map(e => e.text),
+      // Page errors and failed requests that may explain the failure
+      ...(!result.success && { analysis: analyzeConsole(entries) })
+    };
+  }
+  result = maskSecrets(result, secrets);
+  log.finish(result);
+  result.run = { id: log.id, dir: log.dir };
+  return result;
 }
 
 /**
@@ -0,0 +1,390 @@
+/**
+ * Session Daemon — persistent browser session over a unix socket
+ *
+ * A long-lived process holds one Browser instance (and with it the
+ * Playwright CDP connection and any in-memory page state such as routes).
+ * The CLI and the sequence runner talk to it through RemoteBrowser,
+ * which exposes the same methods as Browser.
+ *
+ * Wire protocol: newline-delimited JSON.
+ *   request:  { id, method, args, options }
+ *   response: { id, result } | { id, error: { name, code, message, details } }
+ */
+
+import net from 'node:net';
+import fs from 'node:fs';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { SESSION_SOCKET, LOGS_DIR, getConfig } from './config.js';
+import { Browser } from './browser.js';
+import { BrowserError, SessionError } from './errors.js';
+
+const CLI_PATH = fileURLToPath(new URL('../cli.js', import.meta.url));
+const START_TIMEOUT = 10000;
+/** Time for the daemon to accept a connection */
+const CONNECT_TIMEOUT = 5000;
+/** Time for the daemon to answer session.* requests, which never wait on the browser */
+const CONTROL_TIMEOUT = 5000;
+
+/**
+ * Browser methods callable over the socket.
+ * interceptNetwork takes a function handler and cannot cross the socket;
+ * connect/disconnect manage the daemon's own connection.
+ */
+export const REMOTE_METHODS = Object.getOwnPropertyNames(Browser.prototype)
+  .filter(name => !name.startsWith('_') &&
+    !['constructor', 'connect', 'disconnect', 'interceptNetwork'].includes(name));
+
+/**
+ * Per-call Browser properties a client may override for one request
+ */
+const REMOTE_OPTIONS = ['timeout', 'tab'];
+
+/**
+ * Convert an error into its wire form
+ */
+function toWireError(err) {
+  if (err instanceof BrowserError) return err.toJSON();
+  return { name: err.name || 'Error', code: err.code || 'ERROR', message: err.message, details: null };
+}
+
+/**
+ * Rebuild an error received over the wire
+ */
+function fromWireError(wire) {
+  const err = new BrowserError(wire.message, wire.code, wire.details);
+  err.name = wire.name;
+  return err;
+}
+
+/**
+ * Make a method result safe to JSON-encode.
+ * Non-plain objects (e.g. Playwright element handles) cannot cross
+ * the socket, so only their presence is reported.
+ */
+function toWireResult(value) {
+  if (value === undefined) return null;
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return value;
+  const proto = Object.getPrototypeOf(value);
+  if (proto === Object.prototype || proto === null) return value;
+  return true;
+}
+
+/**
+ * Send one request to the session daemon
+ *
+ * @param {string} method - Browser method or session.* control method
+ * @param {any[]} args - Method arguments (JSON-serializable)
+ * @param {object} options - Per-call Browser overrides
+ * @param {string} socketPath - Socket to connect to
+ * @param {number|null} [timeout] - Time in ms to wait for the response once connected.
+ *   session.* requests default to CONTROL_TIMEOUT; Browser methods wait without a limit,
+ *   as they are bounded by their own timeouts but may be queued behind other requests.
+ * @returns {Promise<any>} Method result
+ */
+export function sendRequest(method, args = [], options = {}, socketPath = SESSION_SOCKET, timeout = method.startsWith('session.') ? CONTROL_TIMEOUT : null) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(socketPath);
+    let buffer = '';
+    let settled = false;
+    let timer = setTimeout(() => {
+      settle(reject, new SessionError(`Session daemon did not accept a connection within ${CONNECT_TIMEOUT}ms`, { socket: socketPath }));
+    }, CONNECT_TIMEOUT);
+
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+      fn(value);
+    };
+
+    socket.setEncoding('utf8');
+    socket.on('connect', () => {
+      clearTimeout(timer);
+      if (timeout !== null) {
+        timer = setTimeout(() => {
+          settle(reject, new SessionError(`Session daemon did not answer ${method} within ${timeout}ms`, { method, timeout }));
+        }, timeout);
+      }
+      socket.write(JSON.stringify({ id: 1, method, args, options }) + '\n');
+    });
+    socket.on('data', chunk => {
+      buffer += chunk;
+      const newline = buffer.indexOf('\n');
+      if (newline === -1) return;
+      try {
+        const response = JSON.parse(buffer.slice(0, newline));
+        if (response.error) settle(reject, fromWireError(response.error));
+        else settle(resolve, response.result);
+      } catch (err) {
+        settle(reject, new SessionError(`Invalid response from session daemon: ${err.message}`));
+      }
+    });
+    socket.on('error', err => {
+      if (err.code === 'ENOENT' || err.code === 'ECONNREFUSED') {
+        settle(reject, new SessionError());
+      } else {
+        settle(reject, new SessionError(`Session socket error: ${err.message}`));
+      }
+    });
+    socket.on('close', () => {
+      settle(reject, new SessionError('Session daemon closed the connection without a response'));
+    });
+  });
+}
+
+/**
+ * Browser proxy that forwards every call to the session daemon
+ */
+export class RemoteBrowser {
+  constructor(status, options = {}, socketPath = SESSION_SOCKET) {
+    this.remote = true;
+    this.cdpPort = status.cdpPort;
+    this.timeout = options.timeout;
+    this.tab = options.tab ?? null;
+    this.socketPath = socketPath;
+  }
+
+  _call(method, args) {
+    const options = {};
+    for (const key of REMOTE_OPTIONS) {
+      if (this[key] !== undefined && this[key] !== null) options[key] = this[key];
+    }
+    return sendRequest(method, args, options, this.socketPath);
+  }
+
+  async connect() {
+    await this._call('snapshot', [{ compact: true }]);
+  }
+
+  async disconnect() {
+    // The daemon owns the connection — nothing to release per client
+  }
+}
+
+for (const method of REMOTE_METHODS) {
+  RemoteBrowser.prototype[method] = function (...args) {
+    return this._call(method, args);
+  };
+}
+
+/**
+ * Get session daemon status
+ *
+ * @returns {{ running: boolean, pid?: number, cdpPort?: number, startedAt?: string, connected?: boolean, requests?: number, socket: string }}
+ */
+export async function getSessionStatus(socketPath = SESSION_SOCKET) {
+  try {
+    const status = await sendRequest('session.status', [], {}, socketPath);
+    return { running: true, socket: socketPath, ...status };
+  } catch {
+    return { running: false, socket: socketPath };
+  }
+}
+
+/**
+ * Create a Browser for a command: a RemoteBrowser when a session daemon
+ * is running on the same CDP port, otherwise a local Browser.
+ *
+ * @param {object} options - Browser constructor options
+ * @returns {Promise<Browser|RemoteBrowser>}
+ */
+export async function createBrowser(options = {}) {
+  const status = await getSessionStatus();
+  const cdpPort = options.cdpPort ?? getConfig().cdp_port ?? 9222;
+  if (status.running && status.cdpPort === cdpPort) {
+    return new RemoteBrowser(status, options);
+  }
+  return new Browser(options);
+}
+
+/**
+ * Create the session server around a Browser instance.
+ * Requests are executed one at a time, in arrival order; session.status is
+ * answered at once, so a long wait in the queue doesn't look like a dead daemon.
+ *
+ * @param {Browser} browser - Browser that owns the CDP connection
+ * @param {object} options - { socketPath, onStop }
+ * @returns {Promise<{ server: net.Server, close: () => Promise<void> }>}
+ */
+export async function createSessionServer(browser, options = {}) {
+  const socketPath = options.socketPath ?? SESSION_SOCKET;
+  const startedAt = new Date().toISOString();
+  let requests = 0;
+  let queue = Promise.resolve();
+
+  async function handle(request) {
+    const { id, method, args = [], options: callOptions = {} } = request;
+    requests++;
+
+    if (method === 'session.status') {
+      return {
+        id,
+        result: {
+          pid: process.pid,
+          cdpPort: browser.cdpPort,
+          startedAt,
+          connected: Boolean(browser._cdpBrowser),
+          requests
+        }
+      };
+    }
+    if (method === 'session.stop') {
+      setImmediate(() => options.onStop?.());
+      return { id, result: { stopped: true } };
+    }
+    if (!REMOTE_METHODS.includes(method) || typeof browser[method] !== 'function') {
+      return { id, error: toWireError(new BrowserError(`Unknown session method: ${method}`, 'UNKNOWN_METHOD')) };
+    }
+
+    const saved = {};
+    for (const key of REMOTE_OPTIONS) {
+      if (callOptions[key] !== undefined) {
+        saved[key] = browser[key];
+        browser[key] = callOptions[key];
+      }
+    }
+    try {
+      return { id, result: toWireResult(await browser[method](...args)) };
+    } catch (err) {
+      return { id, error: toWireError(err) };
+    } finally {
+      Object.assign(browser, saved);
+    }
+  }
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('error', () => {
+      // Client went away mid-request — nothing to report back to
+    });
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        if (!line.trim()) continue;
+
+        let request;
+        try {
+          request = JSON.parse(line);
+        } catch {
+          socket.write(JSON.stringify({ id: null, error: toWireError(new BrowserError('Malformed request', 'BAD_REQUEST')) }) + '\n');
+          continue;
+        }
+        const respond = response => {
+          if (!socket.destroyed) socket.write(JSON.stringify(response) + '\n');
+        };
+        if (request.method === 'session.status') {
+          handle(request).then(respond);
+        } else {
+          queue = queue.then(() => handle(request)).then(respond);
+        }
+      }
+    });
+  });
+
+  // A socket file left behind by a crashed daemon blocks listen()
+  if (fs.existsSync(socketPath) && !(await getSessionStatus(socketPath)).running) {
+    fs.unlinkSync(socketPath);
+  }
+  fs.mkdirSync(path.dirname(socketPath), { recursive: true });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(socketPath, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+  fs.chmodSync(socketPath, 0o600);
+
+  return {
+    server,
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
+
+/**
+ * Run the session daemon in the foreground (used by `session serve`)
+ *
+ * @param {object} options - Browser constructor options
+ */
+export async function serveSession(options = {}) {
+  const browser = new Browser(options);
+  try {
+    // Buffer console output for the `console` command and catch downloads from the start
+    await browser.startConsole();
+    await browser.startDownloads();
+    console.log(`[session] Connected to Chrome on CDP port ${browser.cdpPort}`);
+  } catch (err) {
+    // Chrome may start later — the connection is retried on first use
+    console.error(`[session] ${err.message}`);
+  }
+
+  let session;
+  const shutdown = async () => {
+    await session?.close();
+    await browser.disconnect().catch(() => {});
+    console.log('[session] Stopped');
+    process.exit(0);
+  };
+
+  session = await createSessionServer(browser, { onStop: shutdown });
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+  console.log(`[session] Listening on ${SESSION_SOCKET} (pid ${process.pid})`);
+}
+
+/**
+ * Start the session daemon as a detached background process
+ *
+ * @param {object} options - { cdpPort, headless }
+ * @returns {Promise<object>} Session status plus { started: boolean }
+ */
+export async function startSession(options = {}) {
+  const existing = await getSessionStatus();
+  if (existing.running) return { ...existing, started: false };
+
+  const args = [CLI_PATH, 'session', 'serve'];
+  if (options.cdpPort) args.push('--cdp', String(options.cdpPort));
+  if (options.headless) args.push('--headless');
+
+  fs.mkdirSync(LOGS_DIR, { recursive: true });
+  const logPath = path.join(LOGS_DIR, 'session.log');
+  const logFd = fs.openSync(logPath, 'a');
+  const child = spawn(process.execPath, args, {
+    detached: true,
+    stdio: ['ignore', logFd, logFd]
+  });
+  child.unref();
+  fs.closeSync(logFd);
+
+  let exitCode = null;
+  child.once('exit', code => { exitCode = code; });
+
+  for (let waited = 0; waited < START_TIMEOUT; waited += 200) {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    if (exitCode !== null) break;
+    const status = await getSessionStatus();
+    if (status.running) return { ...status, started: true };
+  }
+
+  throw new SessionError(`Session daemon failed to start. See ${logPath}`, { log: logPath });
+}
+
+/**
+ * Stop the session daemon
+ *
+ * @returns {Promise<{ stopped: boolean }>} stopped is false if it was not running
+ */
+export async function stopSession() {
+  const status = await getSessionStatus();
+  if (!status.running) return { stopped: false };
+  await sendRequest('session.stop');
+  return { stopped: true };
+}
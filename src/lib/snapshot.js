@@ -0,0 +1,152 @@
+/**
+ * Snapshot Parser — agent-browser accessibility snapshots as a tree
+ *
+ * Snapshots are Playwright ARIA snapshots (YAML) with refs added:
+ *   - row "Ada Lovelace admin":
+ *     - cell "Ada Lovelace" [ref=e4]
+ *     - button "Delete" [ref=e5] [nth=1]
+ *   - checkbox "Remember me" [checked] [ref=e6]
+ *   - textbox "Email" [ref=e7]: ada@example.com
+ * Indentation (two spaces a level) nests children under their parent.
+ */
+
+/** Boolean states: absent means false, "[checked]" true, "[checked=mixed]" as written */
+const STATES = ['checked', 'expanded', 'selected', 'pressed', 'disabled'];
+
+/**
+ * Read a double-quoted string with backslash escapes at the start of text
+ *
+ * @returns {{ value: string, rest: string }|null}
+ */
+function readQuoted(text) {
+  if (!text.startsWith('"')) return null;
+  for (let i = 1; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '"') {
+      const quoted = text.slice(0, i + 1);
+      let value;
+      try {
+        value = JSON.parse(quoted);
+      } catch {
+        // Not a JSON escape (e.g. \') — keep the text as written
+        value = quoted.slice(1, -1);
+      }
+      return { value, rest: text.slice(i + 1) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a YAML single-quoted string ('' is a quote) at the start of text
+ *
+ * @returns {{ value: string, rest: string }|null}
+ */
+function readSingleQuoted(text) {
+  if (!text.startsWith("'")) return null;
+  for (let i = 1; i < text.length; i++) {
+    if (text[i] !== "'") continue;
+    if (text[i + 1] === "'") {
+      i++;
+    } else {
+      return { value: text.slice(1, i).replace(/''/g, "'"), rest: text.slice(i + 1) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Attribute value: number, boolean or text ("[level=2]", "[expanded=false]")
+ */
+function attributeValue(text) {
+  if (text === undefined) return true;
+  if (text === 'true' || text === 'false') return text === 'true';
+  return /^\d+$/.test(text) ? Number(text) : text;
+}
+
+/**
+ * Parse the text after "- " on a snapshot line
+ *
+ * @returns {object|null} Node without children; null for property lines ("/url: ...")
+ */
+function parseEntry(text) {
+  // YAML quotes keys with special characters: - 'link "Q: why?"': ...
+  const key = readSingleQuoted(text);
+  const entry = key ? key.value + key.rest : text;
+
+  const role = entry.match(/^\/?[\w-]+/)?.[0];
+  if (!role || role.startsWith('/')) return null;
+  let rest = entry.slice(role.length);
+
+  const node = { role, name: '', ref: null, nth: 0, level: undefined, value: undefined };
+  for (const state of STATES) node[state] = false;
+
+  const name = readQuoted(rest.trimStart());
+  if (name) {
+    node.name = name.value;
+    rest = name.rest;
+  }
+
+  for (let match; (match = rest.match(/^\s*\[([^\]=]+)(?:=([^\]]*))?\]/)); rest = rest.slice(match[0].length)) {
+    const [, key, value] = match;
+    if (key === 'ref') node.ref = value;
+    else if (key === 'nth' || key === 'level') node[key] = Number(value);
+    else if (STATES.includes(key)) node[key] = attributeValue(value);
+  }
+
+  const value = rest.match(/^\s*:\s*(.*)$/)?.[1];
+  if (value) node.value = readQuoted(value)?.value ?? value;
+  return node;
+}
+
+/**
+ * Parse snapshot output into a tree
+ *
+ * @param {string} output - agent-browser snapshot text (interactive, compact or full)
+ * @returns {object[]} Top-level nodes: { role, name, ref, nth, level, value,
+ *   checked, expanded, selected, pressed, disabled, children }. ref is null for
+ *   elements agent-browser gave none; checked and pressed can also be "mixed".
+ */
+export function parseSnapshot(output) {
+  const roots = [];
+  // Open ancestors of the next line, innermost last
+  const stack = [];
+
+  for (const line of output.split('\n')) {
+    const match = line.match(/^(\s*)- (.*)$/);
+    if (!match) continue;
+    const indent = match[1].length;
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) stack.pop();
+
+    const node = parseEntry(match[2].trimEnd());
+    if (!node) continue;
+    node.children = [];
+    (stack.length > 0 ? stack[stack.length - 1].node.children : roots).push(node);
+    stack.push({ indent, node });
+  }
+  return roots;
+}
+
+/**
+ * Nodes of a tree in document order (parents before their children)
+ */
+export function flattenSnapshot(nodes) {
+  return nodes.flatMap(node => [node, ...flattenSnapshot(node.children)]);
+}
+
+/**
+ * A node as a snapshot line: role "name" [ref=e1] [states]: value
+ */
+export function formatNode(node) {
+  const parts = [node.role];
+  if (node.name) parts.push(JSON.stringify(node.name));
+  if (node.ref) parts.push(`[ref=${node.ref}]`);
+  if (node.nth > 0) parts.push(`[nth=${node.nth}]`);
+  if (node.level !== undefined) parts.push(`[level=${node.level}]`);
+  for (const state of STATES) {
+    if (node[state] === true) parts.push(`[${state}]`);
+    else if (node[state]) parts.push(`[${state}=${node[state]}]`);
+  }
+  return parts.join(' ') + (node.value !== undefined ? `: ${node.value}` : '');
+}
@@ -0,0 +1,120 @@
+/**
+ * Storage State — export/import browser login state
+ *
+ * Saves cookies plus per-origin localStorage/sessionStorage as
+ * Playwright-compatible storage-state JSON, so a session set up by hand
+ * over VNC can be reused on another machine or after wiping chrome-profile/.
+ *
+ * Format: { cookies: Cookie[], origins: [{ origin, localStorage, sessionStorage }] }
+ * sessionStorage is an extension that Playwright ignores.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { BrowserError } from './errors.js';
+
+/**
+ * Check whether a host belongs to a domain (exact or subdomain)
+ */
+export function hostMatchesDomain(host, domain) {
+  const h = host.replace(/^\./, '').toLowerCase();
+  const d = domain.replace(/^\./, '').toLowerCase();
+  return h === d || h.endsWith(`.${d}`);
+}
+
+/**
+ * Check whether a URL's host belongs to a domain; false for invalid URLs
+ */
+function urlMatchesDomain(url, domain) {
+  try {
+    return hostMatchesDomain(new URL(url).hostname, domain);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Keep only cookies and origins belonging to a domain. Cookies can carry
+ * a url instead of a domain (Playwright's addCookies accepts either).
+ */
+export function filterState(state, domain) {
+  if (!domain) return state;
+  return {
+    cookies: state.cookies.filter(c => (c.domain ? hostMatchesDomain(c.domain, domain) : urlMatchesDomain(c.url, domain))),
+    origins: (state.origins || []).filter(o => urlMatchesDomain(o.origin, domain))
+  };
+}
+
+/**
+ * Validate storage-state JSON
+ *
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateState(state) {
+  const errors = [];
+  if (!state || typeof state !== 'object') {
+    return { valid: false, errors: ['State must be a JSON object'] };
+  }
+  if (!Array.isArray(state.cookies)) errors.push('Missing "cookies" array');
+  if (state.origins !== undefined && !Array.isArray(state.origins)) errors.push('"origins" must be an array');
+
+  (state.cookies || []).forEach((c, i) => {
+    if (!c.name || c.value === undefined) errors.push(`Cookie ${i}: missing "name" or "value"`);
+    if (!c.domain && !c.url) errors.push(`Cookie ${i}: missing "domain" or "url"`);
+  });
+  (state.origins || []).forEach((o, i) => {
+    if (!o.origin) errors.push(`Origin ${i}: missing "origin"`);
+    for (const key of ['localStorage', 'sessionStorage']) {
+      if (o[key] !== undefined && !Array.isArray(o[key])) errors.push(`Origin ${i}: "${key}" must be an array`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Save the browser's storage state to a file
+ *
+ * @param {Browser} browser - Browser or RemoteBrowser
+ * @param {string} file - Output path
+ * @param {object} options - { domain }
+ * @returns {{ file: string, cookies: number, origins: number }}
+ */
+export async function saveState(browser, file, options = {}) {
+  const state = filterState(await browser.storageState(), options.domain);
+  const outPath = path.resolve(file);
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  // Contains live session cookies — keep it private
+  fs.writeFileSync(outPath, JSON.stringify(state, null, 2), { mode: 0o600 });
+  return { file: outPath, cookies: state.cookies.length, origins: state.origins.length };
+}
+
+/**
+ * Load a storage state file into the browser
+ *
+ * @param {Browser} browser - Browser or RemoteBrowser
+ * @param {string} file - State file path
+ * @param {object} options - { domain }
+ * @returns {{ file: string, cookies: number, origins: number, sessionStorageSkipped: string[] }}
+ */
+export async function loadState(browser, file, options = {}) {
+  const inPath = path.resolve(file);
+  if (!fs.existsSync(inPath)) {
+    throw new BrowserError(`State file not found: ${inPath}`, 'FILE_NOT_FOUND', { file: inPath });
+  }
+
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(inPath, 'utf8'));
+  } catch (err) {
+    throw new BrowserError(`Invalid state file ${inPath}: ${err.message}`, 'INVALID_STATE', { file: inPath });
+  }
+  const { valid, errors } = validateState(state);
+  if (!valid) {
+    throw new BrowserError(`Invalid state file ${inPath}: ${errors.join('; ')}`, 'INVALID_STATE', { file: inPath, errors });
+  }
+
+  const filtered = filterState({ cookies: state.cookies, origins: state.origins || [] }, options.domain);
+  const summary = await browser.setStorageState(filtered);
+  return { file: inPath, ...summary };
+}
@@ -0,0 +1,187 @@
+/**
+ * Sequence Variables — typed definitions, defaults and coercion
+ *
+ * A sequence declares each variable with a type and optional constraints:
+ *   "count": { "type": "number", "min": 1, "max": 10, "default": 1 }
+ *   "plan": { "type": "enum", "values": ["basic", "pro"], "required": true }
+ * Values from --var, the environment and data files arrive as strings and
+ * are coerced to the declared type before a run starts; every invalid
+ * variable is reported at once.
+ */
+
+import { ENV_FILE } from './config.js';
+import { isSecretVariable } from './runs.js';
+
+export const VARIABLE_TYPES = ['string', 'secret', 'number', 'boolean', 'enum', 'email', 'url', 'date', 'list'];
+
+/** Types whose min/max bound the length of the text */
+const TEXT_TYPES = ['string', 'secret', 'email', 'url'];
+
+const TRUE_WORDS = ['true', 'yes', 'y', 'on', '1'];
+const FALSE_WORDS = ['false', 'no', 'n', 'off', '0'];
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+const ENV_NAME = /^[A-Za-z_]\w*$/;
+
+function isDate(text) {
+  return DATE.test(text) && !Number.isNaN(Date.parse(text));
+}
+
+function isUrl(text) {
+  try {
+    return Boolean(new URL(text).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Convert a value to the variable's type
+ *
+ * @throws {Error} Reason the value does not fit, e.g. "is not a number"
+ */
+function coerce(spec, value) {
+  switch (spec.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : typeof value === 'string' && value.trim() ? Number(value) : NaN;
+      if (!Number.isFinite(number)) throw new Error('is not a number');
+      return number;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const word = String(value).trim().toLowerCase();
+      if (TRUE_WORDS.includes(word)) return true;
+      if (FALSE_WORDS.includes(word)) return false;
+      throw new Error('is not true or false');
+    }
+    case 'enum': {
+      // --var values are strings; match them against numeric choices too
+      const match = spec.values.find(choice => choice === value || String(choice) === String(value));
+      if (match === undefined) throw new Error(`is not one of ${spec.values.join(', ')}`);
+      return match;
+    }
+    case 'list':
+      // Arrays, or text for for_each to split (JSON array or comma-separated)
+      if (Array.isArray(value) || typeof value === 'string') return value;
+      throw new Error('is not a list');
+    default: {
+      if (value === null || typeof value === 'object') throw new Error('is not text');
+      const text = String(value);
+      if (spec.type === 'email' && !EMAIL.test(text)) throw new Error('is not an email address');
+      if (spec.type === 'url' && !isUrl(text)) throw new Error('is not an absolute URL');
+      if (spec.type === 'date' && !isDate(text)) throw new Error('is not a date (YYYY-MM-DD)');
+      return text;
+    }
+  }
+}
+
+/**
+ * Coerce a value and check pattern, min and max
+ *
+ * @throws {Error} Reason the value is invalid
+ */
+function checkValue(spec, value) {
+  const checked = coerce(spec, value);
+  if (spec.pattern !== undefined && typeof checked === 'string' && !new RegExp(spec.pattern).test(checked)) {
+    throw new Error(`does not match /${spec.pattern}/`);
+  }
+  if (spec.type === 'number') {
+    if (spec.min !== undefined && checked < spec.min) throw new Error(`is less than ${spec.min}`);
+    if (spec.max !== undefined && checked > spec.max) throw new Error(`is more than ${spec.max}`);
+  } else if (spec.type === 'date') {
+    if (spec.min !== undefined && Date.parse(checked) < Date.parse(spec.min)) throw new Error(`is before ${spec.min}`);
+    if (spec.max !== undefined && Date.parse(checked) > Date.parse(spec.max)) throw new Error(`is after ${spec.max}`);
+  } else if (TEXT_TYPES.includes(spec.type)) {
+    if (spec.min !== undefined && checked.length < spec.min) throw new Error(`is shorter than ${spec.min} characters`);
+    if (spec.max !== undefined && checked.length > spec.max) throw new Error(`is longer than ${spec.max} characters`);
+  }
+  return checked;
+}
+
+/**
+ * Check one variable definition of a sequence file
+ *
+ * @returns {string[]} Errors
+ */
+export function validateVariableSpec(key, spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return [`Variable "${key}": definition must be an object`];
+  }
+  if (!spec.type) return [`Variable "${key}": missing "type" field`];
+  if (!VARIABLE_TYPES.includes(spec.type)) {
+    return [`Variable "${key}": unknown type "${spec.type}" (one of ${VARIABLE_TYPES.join(', ')})`];
+  }
+
+  const errors = [];
+  if (spec.type === 'enum' && (!Array.isArray(spec.values) || spec.values.length === 0)) {
+    errors.push(`Variable "${key}": "enum" requires a non-empty "values" array`);
+  }
+  if (spec.pattern !== undefined) {
+    try {
+      new RegExp(spec.pattern);
+    } catch (err) {
+      errors.push(`Variable "${key}": invalid "pattern": ${err.message}`);
+    }
+  }
+  for (const bound of ['min', 'max']) {
+    if (spec[bound] === undefined) continue;
+    if (spec.type === 'date' ? !isDate(String(spec[bound])) : typeof spec[bound] !== 'number') {
+      errors.push(`Variable "${key}": "${bound}" must be a ${spec.type === 'date' ? 'date' : 'number'}`);
+    } else if (spec.type !== 'number' && spec.type !== 'date' && !TEXT_TYPES.includes(spec.type)) {
+      errors.push(`Variable "${key}": "${bound}" does not apply to type "${spec.type}"`);
+    }
+  }
+  if (spec.env !== undefined && (typeof spec.env !== 'string' || !ENV_NAME.test(spec.env))) {
+    errors.push(`Variable "${key}": "env" must be an environment variable name`);
+  }
+  if (spec.default !== undefined && errors.length === 0) {
+    try {
+      checkValue(spec, spec.default);
+    } catch (err) {
+      errors.push(`Variable "${key}": default ${err.message}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Apply defaults, coerce values to their declared types and check them.
+ * Undeclared variables pass through unchanged.
+ *
+ * @param {object} specs - The sequence's variable definitions
+ * @param {object} variables - Supplied values
+ * @param {object} [options] - { allowMissing: don't report unset required variables }
+ * @returns {{ variables: object, errors: string[] }} Errors name the variable first
+ */
+export function checkVariables(specs = {}, variables = {}, options = {}) {
+  const checked = { ...variables };
+  const errors = [];
+  for (const [key, spec] of Object.entries(specs)) {
+    const value = checked[key] ?? spec.default;
+    if (value === undefined) {
+      if (spec.required && !options.allowMissing) {
+        const notes = [spec.description, spec.env && `set ${spec.env} in the environment or ${ENV_FILE}`].filter(Boolean);
+        errors.push(`${key}: required${notes.length ? ` — ${notes.join('; ')}` : ''}`);
+      }
+      continue;
+    }
+    try {
+      checked[key] = checkValue(spec, value);
+    } catch (err) {
+      // Never echo a secret back in an error message
+      const shown = isSecretVariable(key, spec) ? 'value' : JSON.stringify(value);
+      errors.push(`${key}: ${shown} ${err.message}`);
+    }
+  }
+  return { variables: checked, errors };
+}
+
+/**
+ * One message for the errors of checkVariables
+ */
+export function formatVariableErrors(errors) {
+  return errors.length === 1
+    ? `Invalid variable ${errors[0]}`
+    : `Invalid variables:\n  ${errors.join('\n  ')}`;
+}